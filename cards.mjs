@@ -0,0 +1,261 @@
+import zlib from "node:zlib";
+import jpeg from "jpeg-js";
+import { rarityColor, rarityTierLabel } from "./format.mjs";
+import { createTranslator } from "./i18n.mjs";
+
+/*
+ * Achievement cards.
+ *
+ * Renders an unlock or platinum as a PNG: user and game, achievement, rarity tier in its
+ * rarityColor, a progress bar, and a badge framed in the same color holding the achievement
+ * icon (a drawn medal when there is none, a trophy for platinums). Pure JS into an RGBA
+ * buffer with a built-in 5x7 bitmap font, encoded with node:zlib, so chat clients show the
+ * card inline. Icons are fetched beforehand with loadCardIcon; rendering itself is offline.
+ */
+
+export const CARD_CONTENT_TYPE = "image/png";
+
+const ICON_TIMEOUT_MS = 3000;
+const ICON_MAX_BYTES = 512 * 1024;
+
+const WIDTH = 600;
+const HEIGHT = 180;
+const BADGE_SIZE = 96;
+const TEXT_X = 148;
+const BAR_WIDTH = WIDTH - TEXT_X - 28;
+
+const COLORS = {
+  background: 0x1b2838,
+  muted: 0x8f98a0,
+  text: 0xffffff,
+  subtle: 0xc7d5e0,
+  track: 0x2a475e,
+};
+
+/* -------------------- Bitmap font -------------------- */
+
+// 5x7 glyphs for printable ASCII plus a few symbols the cards use, one byte per column,
+// least significant bit at the top.
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+const ASCII = [
+  "0000000000", "00005f0000", "0007000700", "147f147f14", "242a7f2a12", "2313086462", "3649562050", "0005030000",
+  "001c224100", "0041221c00", "2a1c7f1c2a", "08083e0808", "0050300000", "0808080808", "0060600000", "2010080402",
+  "3e5149453e", "00427f4000", "4261514946", "2141454b31", "1814127f10", "2745454539", "3c4a494930", "0171090503",
+  "3649494936", "064949291e", "0036360000", "0056360000", "0814224100", "1414141414", "0041221408", "0201510906",
+  "3e415d594e", "7c1211127c", "7f49494936", "3e41414122", "7f4141413e", "7f49494941", "7f09090901", "3e41415173",
+  "7f0808087f", "00417f4100", "2040413f01", "7f08142241", "7f40404040", "7f021c027f", "7f0408107f", "3e4141413e",
+  "7f09090906", "3e4151215e", "7f09192946", "2649494932", "03017f0103", "3f4040403f", "1f2040201f", "3f4038403f",
+  "6314081463", "0304780403", "6159494d43", "007f414141", "0204081020", "004141417f", "0402010204", "4040404040",
+  "0001020400", "2054547840", "7f28444438", "3844444428", "384444287f", "3854545418", "00087e0902", "0c5252523e",
+  "7f08040478", "00447d4000", "2040403d00", "7f10284400", "00417f4000", "7c0478047c", "7c08040478", "3844444438",
+  "7c14141408", "081414187c", "7c08040408", "4854545424", "04043f4424", "3c4040207c", "1c2040201c", "3c4030403c",
+  "4428102844", "0c5050503c", "4464544c44", "0008364100", "00007f0000", "0041360800", "0201020402",
+];
+
+const EXTRA = { "·": "0000080000", "…": "4000400040", "—": "0808080808", "–": "0808080808", "×": "2214081422" };
+
+const GLYPHS = new Map([
+  ...ASCII.map((hex, i) => [String.fromCharCode(32 + i), hex]),
+  ...Object.entries(EXTRA),
+].map(([ch, hex]) => [ch, Buffer.from(hex, "hex")]));
+
+const UNKNOWN = GLYPHS.get("?");
+
+// Accented Latin letters lose their accents rather than turning into "?".
+function glyphsOf(text) {
+  return Array.from(String(text ?? ""), (ch) => {
+    if (GLYPHS.has(ch)) return GLYPHS.get(ch);
+    if (ch === "ß") return [GLYPHS.get("s"), GLYPHS.get("s")];
+    const base = ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    return GLYPHS.get(base) ?? UNKNOWN;
+  }).flat();
+}
+
+// Nothing wraps; keep long titles inside the card.
+function clip(text, max) {
+  const chars = Array.from(String(text ?? ""));
+  return chars.length > max ? `${chars.slice(0, max - 1).join("")}…` : chars.join("");
+}
+
+/* -------------------- Raster -------------------- */
+
+function createCanvas(width, height) {
+  const pixels = Buffer.alloc(width * height * 4);
+
+  function plot(x, y, color) {
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const i = (y * width + x) * 4;
+    pixels[i] = (color >> 16) & 0xff;
+    pixels[i + 1] = (color >> 8) & 0xff;
+    pixels[i + 2] = color & 0xff;
+    pixels[i + 3] = 0xff;
+  }
+
+  // Rounded corners test each corner pixel against the corner circle.
+  function rect(x, y, w, h, color, radius = 0) {
+    for (let py = y; py < y + h; py++) {
+      for (let px = x; px < x + w; px++) {
+        const cx = Math.min(Math.max(px + 0.5, x + radius), x + w - radius);
+        const cy = Math.min(Math.max(py + 0.5, y + radius), y + h - radius);
+        if ((px + 0.5 - cx) ** 2 + (py + 0.5 - cy) ** 2 <= radius ** 2) plot(px, py, color);
+      }
+    }
+  }
+
+  function circle(cx, cy, r, color) {
+    rect(cx - r, cy - r, 2 * r, 2 * r, color, r);
+  }
+
+  // Returns the width drawn, in pixels.
+  function text(x, y, value, color, scale) {
+    const glyphs = glyphsOf(value);
+    glyphs.forEach((columns, n) => {
+      for (let col = 0; col < GLYPH_WIDTH; col++) {
+        for (let row = 0; row < GLYPH_HEIGHT; row++) {
+          if (columns[col] & (1 << row)) rect(x + (n * (GLYPH_WIDTH + 1) + col) * scale, y + row * scale, scale, scale, color);
+        }
+      }
+    });
+    return glyphs.length * (GLYPH_WIDTH + 1) * scale;
+  }
+
+  // Nearest-neighbour scale of a decoded image ({ width, height, data } RGBA) into a square.
+  function image(x, y, size, img) {
+    for (let py = 0; py < size; py++) {
+      for (let px = 0; px < size; px++) {
+        const i = (Math.floor((py * img.height) / size) * img.width + Math.floor((px * img.width) / size)) * 4;
+        plot(x + px, y + py, (img.data[i] << 16) | (img.data[i + 1] << 8) | img.data[i + 2]);
+      }
+    }
+  }
+
+  return { width, height, pixels, rect, circle, text, image };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function encodePng({ width, height, pixels }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, no interlace
+
+  // Each scanline is prefixed with filter type 0 (none).
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/* -------------------- Cards -------------------- */
+
+function drawMedal(c, x, y, accent) {
+  c.rect(x + 34, y + 8, 10, 34, accent);
+  c.rect(x + 52, y + 8, 10, 34, accent);
+  c.circle(x + 48, y + 56, 28, accent);
+  c.circle(x + 48, y + 56, 19, COLORS.background);
+  c.circle(x + 48, y + 56, 12, accent);
+}
+
+function drawTrophy(c, x, y, accent) {
+  c.circle(x + 26, y + 34, 14, accent);
+  c.circle(x + 70, y + 34, 14, accent);
+  c.circle(x + 26, y + 34, 8, COLORS.background);
+  c.circle(x + 70, y + 34, 8, COLORS.background);
+  c.rect(x + 26, y + 14, 44, 30, accent);
+  c.circle(x + 48, y + 44, 22, accent);
+  c.rect(x + 43, y + 62, 10, 14, accent);
+  c.rect(x + 30, y + 76, 36, 8, accent, 3);
+}
+
+function card({ color, badge, icon, caption, headline, detail, progress }) {
+  const c = createCanvas(WIDTH, HEIGHT);
+  const pct = Math.max(0, Math.min(100, Number(progress.pctComplete) || 0));
+  const filled = Math.round((BAR_WIDTH * pct) / 100);
+
+  c.rect(0, 0, WIDTH, HEIGHT, COLORS.background);
+  c.rect(0, 0, 8, HEIGHT, color);
+
+  c.rect(28, 28, BADGE_SIZE, BADGE_SIZE, color, 8);
+  c.rect(31, 31, BADGE_SIZE - 6, BADGE_SIZE - 6, COLORS.background, 6);
+  if (icon) c.image(34, 34, BADGE_SIZE - 12, icon);
+  else (badge === "trophy" ? drawTrophy : drawMedal)(c, 28, 28, color);
+
+  c.text(TEXT_X, 30, clip(caption, 35), COLORS.muted, 2);
+  c.text(TEXT_X, 56, clip(headline, 23), COLORS.text, 3);
+  if (detail) c.text(TEXT_X, 92, clip(detail, 35), color, 2);
+
+  c.rect(TEXT_X, 118, BAR_WIDTH, 12, COLORS.track, 6);
+  if (filled > 0) c.rect(TEXT_X, 118, filled, 12, color, 6);
+  c.text(TEXT_X, 142, `${progress.unlockedCount}/${progress.totalAchievements} — ${pct}%`, COLORS.subtle, 2);
+
+  return encodePng(c);
+}
+
+/**
+ * Fetch and decode an achievement icon (Steam serves JPEGs) for renderUnlockCard.
+ * Throws when it can't be fetched or decoded; the card then falls back to the medal.
+ */
+export async function loadCardIcon(url) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(ICON_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`Icon request returned ${res.status}`);
+  const bytes = Buffer.from(await res.arrayBuffer());
+  if (bytes.length > ICON_MAX_BYTES) throw new Error(`Icon is ${bytes.length} bytes`);
+  const { width, height, data } = jpeg.decode(bytes, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: 1 });
+  return { width, height, data };
+}
+
+/**
+ * PNG card for one unlock `u` of an "unlocks" event `e` (see notifiers.mjs for the shapes).
+ * `u.icon` is a decoded icon from loadCardIcon, if one was loaded.
+ */
+export function renderUnlockCard(e, u, t = createTranslator(e.locale)) {
+  const rated = u.rarityPct !== null && u.rarityPct !== undefined;
+  return card({
+    color: rated ? rarityColor(u.rarityPct) : 0xE74C3C,
+    badge: "medal",
+    icon: u.icon,
+    caption: `${e.user.name} · ${e.game.title}`,
+    headline: u.achievementName,
+    detail: rated ? `${rarityTierLabel(u.rarityPct, t)} · ${t.fixed(u.rarityPct)}%` : null,
+    progress: e.progress,
+  });
+}
+
+export function renderPlatinumCard(e, t = createTranslator(e.locale)) {
+  return card({
+    color: rarityColor(0),
+    badge: "trophy",
+    caption: e.user.name,
+    headline: e.game.title,
+    detail: t("field.platinum") + (e.version > 1 ? ` ×${e.version}` : ""),
+    progress: e.progress,
+  });
+}
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/*
+ * Local runner for the same pipeline the Lambda handler runs.
+ *
+ *   node cli.mjs run --dry-run --user Ricky
+ *   node cli.mjs run --user Ricky --record fixtures/ricky       # save Steam responses to disk
+ *   node cli.mjs run --dry-run --fixtures fixtures/ricky        # replay them, no network
+ *   node cli.mjs serve --port 8080 --state-dir .state           # the read-only HTTP API and feeds
+ *
+ * Everything else is configured through the usual environment variables (USERS, DDB_TABLE, ...).
+ */
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+const USAGE = `Usage: node cli.mjs run [options]
+       node cli.mjs serve [--port <port>] [--state-dir <dir>]
+
+Options:
+  --dry-run          Print what would be posted; skip every state, event and outbox write
+  --user <name>      Only process this tracked user (repeatable)
+  --fixtures <dir>   Replay recorded Steam responses from <dir> instead of calling Steam
+  --record <dir>     Call Steam and save every response to <dir> for later replay
+  --state-dir <dir>  Use the JSON file state backend in <dir> instead of DynamoDB
+  --now <time>       Pretend it's this time (ISO date or unix seconds); replays default to the recording time
+  --port <port>      Port for serve (default 8080)
+  -h, --help         Show this help`;
+
+// Written next to recorded fixtures so a replay sees the same "now" the recording did.
+const RECORDING_META = "recording.json";
+
+function parseNow(value) {
+  const ms = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+  if (!Number.isFinite(ms)) throw new Error(`--now must be an ISO date or unix seconds. Got: ${value}`);
+  return ms;
+}
+
+// Shift the clock rather than freezing it so backoff sleeps and timings still work.
+function pinClock(ms) {
+  const realNow = Date.now;
+  const offset = ms - realNow();
+  Date.now = () => realNow() + offset;
+  console.log(`[system] Clock set to ${new Date(ms).toISOString()}`);
+}
+
+async function run(opts) {
+  if (opts.fixtures && opts.record) throw new Error("--fixtures and --record can't be combined.");
+
+  // Plain "[name] message" lines read better in a terminal than the Lambda's JSON logs.
+  process.env.LOG_FORMAT ??= "text";
+
+  if (opts["dry-run"]) {
+    process.env.DRY_RUN = "true";
+    // Nothing gets sent, so a webhook isn't needed to try things out.
+    process.env.DISCORD_WEBHOOK_URL ??= "https://discord.invalid/dry-run";
+  }
+
+  if (opts["state-dir"]) {
+    process.env.STATE_BACKEND = "file";
+    process.env.STATE_DIR = opts["state-dir"];
+  }
+
+  let nowMs = opts.now ? parseNow(opts.now) : null;
+
+  if (opts.fixtures) {
+    const dir = path.resolve(opts.fixtures);
+    if (!fs.existsSync(dir)) throw new Error(`Fixtures directory not found: ${dir}`);
+    process.env.STEAM_FIXTURES_DIR = dir;
+    process.env.STEAM_FIXTURES_MODE = "replay";
+    process.env.STEAM_API_KEY ??= "replay";
+
+    const metaFile = path.join(dir, RECORDING_META);
+    if (nowMs === null && fs.existsSync(metaFile)) {
+      nowMs = JSON.parse(fs.readFileSync(metaFile, "utf8")).recordedAt * 1000;
+    }
+  }
+
+  if (nowMs !== null) pinClock(nowMs);
+
+  if (opts.record) {
+    const dir = path.resolve(opts.record);
+    process.env.STEAM_FIXTURES_DIR = dir;
+    process.env.STEAM_FIXTURES_MODE = "record";
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, RECORDING_META), JSON.stringify({ recordedAt: Math.floor(Date.now() / 1000) }, null, 2));
+  }
+
+  // Imported only now: index.mjs reads its configuration from the environment at load time.
+  const { handler } = await import("./index.mjs");
+  const result = await handler({ users: opts.user ?? [] });
+
+  console.log(JSON.stringify(result, null, 2));
+  return result.results.every((r) => r?.ok) ? 0 : 1;
+}
+
+// Hands each request to apiHandler as a Lambda function URL event would.
+async function serve(opts) {
+  const port = Number(opts.port ?? 8080);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`--port must be a port number. Got: ${opts.port}`);
+
+  process.env.LOG_FORMAT ??= "text";
+  if (opts["state-dir"]) {
+    process.env.STATE_BACKEND = "file";
+    process.env.STATE_DIR = opts["state-dir"];
+  }
+  // Feed self links would otherwise assume https.
+  process.env.API_BASE_URL ??= `http://localhost:${port}`;
+
+  const { apiHandler } = await import("./index.mjs");
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const result = await apiHandler({
+      rawPath: url.pathname,
+      queryStringParameters: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      requestContext: { http: { method: req.method } },
+    });
+    res.writeHead(result.statusCode, result.headers);
+    res.end(req.method === "HEAD" ? undefined : result.body);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, () => resolve());
+  });
+  console.log(`[system] Serving the read-only API on http://localhost:${server.address().port}/`);
+
+  // Runs until interrupted.
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  server.close();
+  return 0;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      "dry-run": { type: "boolean" },
+      user: { type: "string", multiple: true },
+      fixtures: { type: "string" },
+      record: { type: "string" },
+      "state-dir": { type: "string" },
+      now: { type: "string" },
+      port: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  const [command] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+  if (command === "serve") return serve(values);
+  if (command !== "run") throw new Error(`Unknown command "${command}".\n\n${USAGE}`);
+
+  return run(values);
+}
+
+main(process.argv.slice(2)).then(
+  (code) => process.exit(code),
+  (e) => {
+    console.error(`[system] ${e?.message ?? String(e)}`);
+    process.exit(1);
+  }
+);
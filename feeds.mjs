@@ -0,0 +1,75 @@
+/*
+ * Feeds.
+ *
+ * Renders announced events as Atom 1.0 or RSS 2.0 documents for the read-only API.
+ * Entries are { id, title, link, summary, at } with `at` in unix seconds, newest first.
+ */
+
+export const ATOM_CONTENT_TYPE = "application/atom+xml; charset=utf-8";
+export const RSS_CONTENT_TYPE = "application/rss+xml; charset=utf-8";
+
+const GENERATOR = "Platinum Bot";
+
+function xmlEscape(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// An empty feed is "updated" now rather than at the epoch.
+function newestAt(entries) {
+  return entries[0]?.at ?? Math.floor(Date.now() / 1000);
+}
+
+export function renderAtom({ id, title, link, self, entries }) {
+  const updated = new Date(newestAt(entries) * 1000).toISOString();
+  return [
+    `<?xml version="1.0" encoding="utf-8"?>`,
+    `<feed xmlns="http://www.w3.org/2005/Atom">`,
+    `<id>${xmlEscape(id)}</id>`,
+    `<title>${xmlEscape(title)}</title>`,
+    `<updated>${updated}</updated>`,
+    `<link rel="alternate" href="${xmlEscape(link)}"/>`,
+    self ? `<link rel="self" href="${xmlEscape(self)}"/>` : "",
+    `<author><name>${GENERATOR}</name></author>`,
+    `<generator>${GENERATOR}</generator>`,
+    ...entries.map((e) => [
+      `<entry>`,
+      `<id>${xmlEscape(e.id)}</id>`,
+      `<title>${xmlEscape(e.title)}</title>`,
+      `<updated>${new Date(e.at * 1000).toISOString()}</updated>`,
+      `<link rel="alternate" href="${xmlEscape(e.link)}"/>`,
+      e.summary ? `<summary>${xmlEscape(e.summary)}</summary>` : "",
+      `</entry>`,
+    ].join("")),
+    `</feed>`,
+  ].filter(Boolean).join("\n");
+}
+
+export function renderRss({ title, link, self, description, entries }) {
+  return [
+    `<?xml version="1.0" encoding="utf-8"?>`,
+    `<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">`,
+    `<channel>`,
+    `<title>${xmlEscape(title)}</title>`,
+    `<link>${xmlEscape(link)}</link>`,
+    `<description>${xmlEscape(description ?? title)}</description>`,
+    self ? `<atom:link rel="self" type="application/rss+xml" href="${xmlEscape(self)}"/>` : "",
+    `<lastBuildDate>${new Date(newestAt(entries) * 1000).toUTCString()}</lastBuildDate>`,
+    `<generator>${GENERATOR}</generator>`,
+    ...entries.map((e) => [
+      `<item>`,
+      `<guid isPermaLink="false">${xmlEscape(e.id)}</guid>`,
+      `<title>${xmlEscape(e.title)}</title>`,
+      `<link>${xmlEscape(e.link)}</link>`,
+      e.summary ? `<description>${xmlEscape(e.summary)}</description>` : "",
+      `<pubDate>${new Date(e.at * 1000).toUTCString()}</pubDate>`,
+      `</item>`,
+    ].join("")),
+    `</channel>`,
+    `</rss>`,
+  ].filter(Boolean).join("\n");
+}
@@ -0,0 +1,62 @@
+import { createTranslator } from "./i18n.mjs";
+
+/* -------------------- Shared formatting helpers -------------------- */
+
+export function percent(numer, denom) {
+  if (!denom) return 0;
+  return Math.floor((numer / denom) * 100);
+}
+
+export function formatLocalDateFromUnix(sec, tz, t = createTranslator()) {
+  if (!sec) return t("date.unknown");
+  return new Date(sec * 1000).toLocaleString(t.locale, { timeZone: tz });
+}
+
+export function formatLocalDayFromUnix(sec, tz, t = createTranslator()) {
+  if (!sec) return t("date.unknown");
+  return new Date(sec * 1000).toLocaleDateString(t.locale, { timeZone: tz, dateStyle: "medium" });
+}
+
+// Minutes since local midnight in tz, e.g. 22:30 -> 1350.
+export function localMinuteOfDay(sec, tz) {
+  const parts = new Intl.DateTimeFormat("en-US", { timeZone: tz, hour: "numeric", minute: "numeric", hourCycle: "h23" }).formatToParts(new Date(sec * 1000));
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value ?? 0);
+  return get("hour") * 60 + get("minute");
+}
+
+/* -------------------- Rarity helpers -------------------- */
+
+// rarityTier() names from most to least common.
+export const RARITY_TIERS = ["Common", "Uncommon", "Rare", "Epic", "Legendary"];
+
+export function rarityTier(pct) {
+  if (pct < 1) return "Legendary";
+  if (pct < 5) return "Epic";
+  if (pct < 20) return "Rare";
+  if (pct < 50) return "Uncommon";
+  return "Common";
+}
+
+// Tier name in the reader's language; rarityTier() itself stays English for scoring.
+export function rarityTierLabel(pct, t = createTranslator()) {
+  return t(`tier.${rarityTier(pct)}`);
+}
+
+export function formatRarityLine(pct, t = createTranslator()) {
+  return t("rarity.line", { tier: rarityTierLabel(pct, t), pct: t.fixed(pct) });
+}
+
+// Estimated difficulty from the global unlock rate: 1 (nearly everyone has it) to 10
+// (almost nobody does). Each tenfold drop in the rate adds four points.
+export function difficultyScore(pct) {
+  if (pct === null || pct === undefined || !Number.isFinite(pct)) return null;
+  return Math.min(10, Math.max(1, Math.ceil(-Math.log10(Math.max(pct, 0.01) / 100) * 4)));
+}
+
+export function rarityColor(pct) {
+  if (pct < 1) return 0xF1C40F;
+  if (pct < 5) return 0xE67E22;
+  if (pct < 20) return 0x9B59B6;
+  if (pct < 50) return 0x3498DB;
+  return 0x2ECC71;
+}
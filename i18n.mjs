@@ -0,0 +1,507 @@
+/*
+ * Message catalogs for the bot's own strings.
+ *
+ * createTranslator(locale) returns t(key, vars) which looks the key up in the catalog for
+ * the exact locale ("pt-BR"), then its language ("pt"), then English, and fills {placeholders}.
+ * Achievement names and descriptions are not in here: Steam localizes those (see steamLanguage).
+ */
+
+const CATALOGS = {
+  en: {
+    "bot.username": "{name}'s Platinum Bot",
+    "unlock.title": "{name} unlocked a new achievement in {game}, they are now {pct}% complete.",
+    "unlock.titleMany": "{name} unlocked {count} achievements in {game}, they are now {pct}% complete.",
+    "unlock.catchup": "{name} unlocked {count} achievements in {game} while the bot was away",
+    "unlock.digest": "{name} unlocked {count} achievements in {game} during quiet hours",
+    "unlock.unlockedAt": "Unlocked {date}",
+    "platinum": "Congratulations on your shiny new {game} platinum, {name}! 🏆✨",
+    "platinum.imageAlt": "Platinum trophy",
+    "platinum.again": "Back to 100%! Congratulations on re-earning the {game} platinum, {name}! 🏆✨",
+    "count.added": "➕ {game} added {count} new achievement(s); {name} is now at {pct}%.",
+    "count.removed": "➖ {game} removed {count} achievement(s); {name} is now at {pct}%.",
+    "count.platinumLost": "💔 {name}'s {game} platinum is back up for grabs.",
+    "notice.private_profile": "🔒 {name}'s Steam achievements aren't visible",
+    "notice.private_profile.help": "Steam reports {name}'s profile or game details as private, so new achievements can't be announced. To fix it, open Steam → Profile → Edit Profile → Privacy Settings and set both \"My profile\" and \"Game details\" to Public.",
+    "notice.no_stats": "ℹ️ {game} has no Steam achievements",
+    "notice.no_stats.help": "Steam doesn't keep achievement stats for {game}, so there's nothing to announce for {name} there.",
+    "milestone.oneAway": "🎯 {name} is one achievement away from the {game} platinum!",
+    "milestone.first": "🌱 {name} earned their first achievement in {game}!",
+    "milestone.percent": "📈 {name} passed {pct}% completion in {game}!",
+    "passed": "⚔️ {name} passed {who} in {game}!",
+    "field.achievement": "Achievement",
+    "field.description": "Achievement Description:",
+    "field.unlockedOn": "Unlocked On:",
+    "field.progress": "Total {game} Progress:",
+    "field.rarity": "Rarity",
+    "field.friends": "Friends",
+    "field.rarest": "Rarest Unlock",
+    "field.lastRemaining": "Last Remaining Achievement",
+    "field.platinum": "Platinum",
+    "field.lastUpdated": "Last Updated:",
+    "progress.line": "Total {game} progress: {progress}",
+    "lastRemaining.line": "Last remaining: {achievement}",
+    "summary.more": "…and {count} more",
+    "summary.firstInGroup": "🥇 first in group",
+    "group.first": "🥇 First in the group to get this!",
+    "group.count": "👥 {have} of {of} friends have it",
+    "achievement.hidden": "Hidden Achievement",
+    "achievement.hiddenName": "Hidden achievement",
+    "achievement.hiddenDesc": "Details hidden to avoid spoilers.",
+    "date.unknown": "Unknown",
+    "rarity.line": "🏆 Rarity: {tier} ({pct}% of players)",
+    "tier.Legendary": "Legendary",
+    "tier.Epic": "Epic",
+    "tier.Rare": "Rare",
+    "tier.Uncommon": "Uncommon",
+    "tier.Common": "Common",
+    "leaderboard.username": "Platinum Bot Leaderboard",
+    "leaderboard.title": "Weekly Leaderboard — {week}",
+    "leaderboard.description": "{unlocks} achievement(s) unlocked across {players} player(s).",
+    "leaderboard.mostUnlocks": "Most Unlocks",
+    "leaderboard.unlocks": "{count} unlock(s)",
+    "leaderboard.rarityScore": "Rarity Score",
+    "leaderboard.points": "{count} pts",
+    "leaderboard.rarest": "Rarest Unlock of the Week",
+    "leaderboard.rarestValue": "{name}: **{achievement}** in {game}",
+    "leaderboard.platinums": "Platinums Earned",
+    "leaderboard.footer": "Rarity score: {legend}",
+    "progress.title": "{name}'s {game} progress: {pct}% complete",
+    "progress.completed": "🏆 Completed",
+    "progress.games": "{name}'s tracked games",
+    "platinums.title": "{name}'s platinums ({count})",
+    "platinums.line": "🏆 **{game}** — {count} achievements",
+    "platinums.lineDated": "🏆 **{game}** — {count} achievements, {date}",
+    "platinums.lineAgain": "🏆 **{game}** — {count} achievements, {date} (completion {version})",
+    "recap.username": "Platinum Bot Year in Review",
+    "recap.title": "{name}'s {year} in review",
+    "recap.description": "{platinums} platinum(s) and {unlocks} achievement(s) unlocked in {year}.",
+    "recap.platinums": "Platinums",
+    "recap.noPlatinums": "No platinums this year",
+    "recap.rarest": "Rarest Unlock",
+    "recap.rarestValue": "**{achievement}** in {game}",
+    "recap.mostPlayed": "Most-Played Completion",
+    "recap.mostPlayedValue": "**{game}** — {hours} h",
+    "guide.title": "{name}'s hunt in {game}: {count} left",
+    "guide.done": "{name} has every achievement in {game}. Hunt complete! 🏆",
+    "guide.difficulty": "difficulty {score}/10",
+    "guide.sinceLast": "+{count} ({from} → {to})",
+    "guide.noChange": "No new unlocks",
+    "field.sinceLast": "Since the last report ({date})",
+    "field.playtime": "Hours Played",
+    "playtime.value": "{hours} h",
+    "playtime.line": "{hours} h played",
+    "platinum.days": "{days} day(s) from first tracked unlock to platinum",
+    "stats.title": "{name}'s stats",
+    "stats.platinums": "Platinums",
+    "stats.playtime": "Tracked Playtime",
+    "stats.avgHours": "Average Hours per Platinum",
+    "stats.avgDays": "Average Days to Platinum",
+    "stats.unlocksPerHour": "Unlocks per Hour",
+    "stats.none": "Not enough data yet",
+    "goal.title": "{name}'s completion goals",
+    "goal.line": "• **{game}** ({appid})",
+    "goal.app": "appid {appid}",
+    "goal.none": "{name} has no completion goals yet. Add one with /goal and a game.",
+    "goal.notFound": "No progress recorded for {name} in \"{game}\". Try its appid instead.",
+    "goal.notAGoal": "{game} isn't one of {name}'s goals.",
+    "goal.removed": "Removed {game} from {name}'s goals.",
+    "goal.exists": "{game} is already one of {name}'s goals.",
+    "goal.added": "Added {game} to {name}'s goals. The next hunting guide will list what's left.",
+    "feed.title": "{name}'s achievements",
+    "feed.groupTitle": "Platinum Bot achievements",
+    "feed.unlock": "{name} unlocked {achievement} in {game}",
+    "feed.platinum": "{name} earned the {game} platinum 🏆",
+  },
+
+  de: {
+    "bot.username": "Platinum Bot von {name}",
+    "unlock.title": "{name} hat einen neuen Erfolg in {game} freigeschaltet und ist jetzt zu {pct}% fertig.",
+    "unlock.titleMany": "{name} hat {count} Erfolge in {game} freigeschaltet und ist jetzt zu {pct}% fertig.",
+    "unlock.catchup": "{name} hat {count} Erfolge in {game} freigeschaltet, während der Bot weg war",
+    "unlock.digest": "{name} hat während der Ruhezeit {count} Erfolge in {game} freigeschaltet",
+    "unlock.unlockedAt": "Freigeschaltet am {date}",
+    "platinum": "Glückwunsch zur nagelneuen Platin in {game}, {name}! 🏆✨",
+    "platinum.imageAlt": "Platin-Trophäe",
+    "platinum.again": "Wieder 100 %! Glückwunsch zur zurückeroberten Platin in {game}, {name}! 🏆✨",
+    "count.added": "➕ {game} hat {count} neue(n) Erfolg(e) bekommen; {name} steht jetzt bei {pct}%.",
+    "count.removed": "➖ {game} hat {count} Erfolg(e) entfernt; {name} steht jetzt bei {pct}%.",
+    "count.platinumLost": "💔 Die Platin von {name} in {game} muss neu verdient werden.",
+    "notice.private_profile": "🔒 Die Steam-Erfolge von {name} sind nicht sichtbar",
+    "notice.private_profile.help": "Laut Steam sind das Profil oder die Spieldetails von {name} privat, daher können keine neuen Erfolge angekündigt werden. Zum Beheben in Steam Profil → Profil bearbeiten → Privatsphäre-Einstellungen öffnen und sowohl \"Mein Profil\" als auch \"Spieldetails\" auf Öffentlich stellen.",
+    "notice.no_stats": "ℹ️ {game} hat keine Steam-Erfolge",
+    "notice.no_stats.help": "Steam führt für {game} keine Erfolgsstatistiken, daher gibt es dort für {name} nichts anzukündigen.",
+    "milestone.oneAway": "🎯 {name} fehlt nur noch ein Erfolg zur Platin in {game}!",
+    "milestone.first": "🌱 {name} hat den ersten Erfolg in {game} verdient!",
+    "milestone.percent": "📈 {name} hat in {game} {pct}% erreicht!",
+    "passed": "⚔️ {name} hat {who} in {game} überholt!",
+    "field.achievement": "Erfolg",
+    "field.description": "Beschreibung:",
+    "field.unlockedOn": "Freigeschaltet am:",
+    "field.progress": "Gesamtfortschritt {game}:",
+    "field.rarity": "Seltenheit",
+    "field.friends": "Freunde",
+    "field.rarest": "Seltenster Erfolg",
+    "field.lastRemaining": "Letzter fehlender Erfolg",
+    "field.platinum": "Platin",
+    "field.lastUpdated": "Zuletzt aktualisiert:",
+    "progress.line": "Gesamtfortschritt {game}: {progress}",
+    "lastRemaining.line": "Fehlt noch: {achievement}",
+    "summary.more": "…und {count} weitere",
+    "summary.firstInGroup": "🥇 Erster in der Gruppe",
+    "group.first": "🥇 Als Erster in der Gruppe!",
+    "group.count": "👥 {have} von {of} Freunden haben ihn",
+    "achievement.hidden": "Versteckter Erfolg",
+    "achievement.hiddenName": "Versteckter Erfolg",
+    "achievement.hiddenDesc": "Details ausgeblendet, um nichts zu verraten.",
+    "date.unknown": "Unbekannt",
+    "rarity.line": "🏆 Seltenheit: {tier} ({pct}% der Spieler)",
+    "tier.Legendary": "Legendär",
+    "tier.Epic": "Episch",
+    "tier.Rare": "Selten",
+    "tier.Uncommon": "Ungewöhnlich",
+    "tier.Common": "Häufig",
+    "leaderboard.username": "Platinum Bot Rangliste",
+    "leaderboard.title": "Wochenrangliste — {week}",
+    "leaderboard.description": "{unlocks} Erfolg(e) von {players} Spieler(n) freigeschaltet.",
+    "leaderboard.mostUnlocks": "Meiste Erfolge",
+    "leaderboard.unlocks": "{count} Erfolg(e)",
+    "leaderboard.rarityScore": "Seltenheitspunkte",
+    "leaderboard.points": "{count} Pkt.",
+    "leaderboard.rarest": "Seltenster Erfolg der Woche",
+    "leaderboard.rarestValue": "{name}: **{achievement}** in {game}",
+    "leaderboard.platinums": "Verdiente Platin",
+    "leaderboard.footer": "Seltenheitspunkte: {legend}",
+    "progress.title": "Fortschritt von {name} in {game}: {pct}% fertig",
+    "progress.completed": "🏆 Abgeschlossen",
+    "progress.games": "Verfolgte Spiele von {name}",
+    "platinums.title": "Platin von {name} ({count})",
+    "platinums.line": "🏆 **{game}** — {count} Erfolge",
+    "platinums.lineDated": "🏆 **{game}** — {count} Erfolge, {date}",
+    "platinums.lineAgain": "🏆 **{game}** — {count} Erfolge, {date} ({version}. Abschluss)",
+    "recap.username": "Platinum Bot Jahresrückblick",
+    "recap.title": "Das Jahr {year} von {name}",
+    "recap.description": "{platinums} Platin und {unlocks} Erfolg(e) im Jahr {year}.",
+    "recap.platinums": "Platin",
+    "recap.noPlatinums": "Keine Platin in diesem Jahr",
+    "recap.rarest": "Seltenster Erfolg",
+    "recap.rarestValue": "**{achievement}** in {game}",
+    "recap.mostPlayed": "Meistgespielte Platin",
+    "recap.mostPlayedValue": "**{game}** — {hours} Std.",
+    "guide.title": "Jagd von {name} in {game}: noch {count}",
+    "guide.done": "{name} hat alle Erfolge in {game}. Jagd abgeschlossen! 🏆",
+    "guide.difficulty": "Schwierigkeit {score}/10",
+    "guide.sinceLast": "+{count} ({from} → {to})",
+    "guide.noChange": "Keine neuen Erfolge",
+    "field.sinceLast": "Seit dem letzten Bericht ({date})",
+    "field.playtime": "Spielzeit",
+    "playtime.value": "{hours} Std.",
+    "playtime.line": "{hours} Std. gespielt",
+    "platinum.days": "{days} Tag(e) vom ersten erfassten Erfolg bis zur Platin",
+    "stats.title": "Statistiken von {name}",
+    "stats.platinums": "Platin",
+    "stats.playtime": "Erfasste Spielzeit",
+    "stats.avgHours": "Durchschnittliche Stunden pro Platin",
+    "stats.avgDays": "Durchschnittliche Tage bis zur Platin",
+    "stats.unlocksPerHour": "Erfolge pro Stunde",
+    "stats.none": "Noch nicht genug Daten",
+    "goal.title": "Abschlussziele von {name}",
+    "goal.line": "• **{game}** ({appid})",
+    "goal.app": "App-ID {appid}",
+    "goal.none": "{name} hat noch keine Abschlussziele. Füge mit /goal und einem Spiel eines hinzu.",
+    "goal.notFound": "Für {name} ist in „{game}“ kein Fortschritt erfasst. Versuch es stattdessen mit der App-ID.",
+    "goal.notAGoal": "{game} ist keines der Ziele von {name}.",
+    "goal.removed": "{game} wurde aus den Zielen von {name} entfernt.",
+    "goal.exists": "{game} ist bereits eines der Ziele von {name}.",
+    "goal.added": "{game} wurde zu den Zielen von {name} hinzugefügt. Die nächste Jagd-Übersicht zeigt, was noch fehlt.",
+    "feed.title": "Erfolge von {name}",
+    "feed.groupTitle": "Platinum-Bot-Erfolge",
+    "feed.unlock": "{name} hat {achievement} in {game} freigeschaltet",
+    "feed.platinum": "{name} hat die Platin in {game} geholt 🏆",
+  },
+
+  es: {
+    "bot.username": "Platinum Bot de {name}",
+    "unlock.title": "{name} desbloqueó un nuevo logro en {game} y ya lleva un {pct}% completado.",
+    "unlock.titleMany": "{name} desbloqueó {count} logros en {game} y ya lleva un {pct}% completado.",
+    "unlock.catchup": "{name} desbloqueó {count} logros en {game} mientras el bot no estaba",
+    "unlock.digest": "{name} desbloqueó {count} logros en {game} durante las horas de silencio",
+    "unlock.unlockedAt": "Desbloqueado el {date}",
+    "platinum": "¡Enhorabuena por tu reluciente platino de {game}, {name}! 🏆✨",
+    "platinum.imageAlt": "Trofeo de platino",
+    "platinum.again": "¡De vuelta al 100%! ¡Enhorabuena por recuperar el platino de {game}, {name}! 🏆✨",
+    "count.added": "➕ {game} añadió {count} logro(s) nuevo(s); {name} está ahora al {pct}%.",
+    "count.removed": "➖ {game} eliminó {count} logro(s); {name} está ahora al {pct}%.",
+    "count.platinumLost": "💔 El platino de {game} de {name} vuelve a estar en juego.",
+    "notice.private_profile": "🔒 Los logros de Steam de {name} no son visibles",
+    "notice.private_profile.help": "Steam indica que el perfil o los detalles de juegos de {name} son privados, así que no se pueden anunciar logros nuevos. Para solucionarlo, abre Steam → Perfil → Editar perfil → Configuración de privacidad y pon \"Mi perfil\" y \"Detalles de juegos\" en Público.",
+    "notice.no_stats": "ℹ️ {game} no tiene logros de Steam",
+    "notice.no_stats.help": "Steam no guarda estadísticas de logros para {game}, así que no hay nada que anunciar de {name} ahí.",
+    "milestone.oneAway": "🎯 ¡A {name} solo le falta un logro para el platino de {game}!",
+    "milestone.first": "🌱 ¡{name} consiguió su primer logro en {game}!",
+    "milestone.percent": "📈 ¡{name} superó el {pct}% de {game}!",
+    "passed": "⚔️ ¡{name} adelantó a {who} en {game}!",
+    "field.achievement": "Logro",
+    "field.description": "Descripción del logro:",
+    "field.unlockedOn": "Desbloqueado el:",
+    "field.progress": "Progreso total de {game}:",
+    "field.rarity": "Rareza",
+    "field.friends": "Amigos",
+    "field.rarest": "Logro más raro",
+    "field.lastRemaining": "Último logro pendiente",
+    "field.platinum": "Platino",
+    "field.lastUpdated": "Última actualización:",
+    "progress.line": "Progreso total de {game}: {progress}",
+    "lastRemaining.line": "Último pendiente: {achievement}",
+    "summary.more": "…y {count} más",
+    "summary.firstInGroup": "🥇 primero del grupo",
+    "group.first": "🥇 ¡El primero del grupo en conseguirlo!",
+    "group.count": "👥 {have} de {of} amigos lo tienen",
+    "achievement.hidden": "Logro oculto",
+    "achievement.hiddenName": "Logro oculto",
+    "achievement.hiddenDesc": "Detalles ocultos para evitar spoilers.",
+    "date.unknown": "Desconocida",
+    "rarity.line": "🏆 Rareza: {tier} ({pct}% de los jugadores)",
+    "tier.Legendary": "Legendario",
+    "tier.Epic": "Épico",
+    "tier.Rare": "Raro",
+    "tier.Uncommon": "Poco común",
+    "tier.Common": "Común",
+    "leaderboard.username": "Clasificación de Platinum Bot",
+    "leaderboard.title": "Clasificación semanal — {week}",
+    "leaderboard.description": "{unlocks} logro(s) desbloqueado(s) entre {players} jugador(es).",
+    "leaderboard.mostUnlocks": "Más logros",
+    "leaderboard.unlocks": "{count} logro(s)",
+    "leaderboard.rarityScore": "Puntuación de rareza",
+    "leaderboard.points": "{count} pts",
+    "leaderboard.rarest": "Logro más raro de la semana",
+    "leaderboard.rarestValue": "{name}: **{achievement}** en {game}",
+    "leaderboard.platinums": "Platinos conseguidos",
+    "leaderboard.footer": "Puntuación de rareza: {legend}",
+    "progress.title": "Progreso de {name} en {game}: {pct}% completado",
+    "progress.completed": "🏆 Completado",
+    "progress.games": "Juegos seguidos de {name}",
+    "platinums.title": "Platinos de {name} ({count})",
+    "platinums.line": "🏆 **{game}** — {count} logros",
+    "platinums.lineDated": "🏆 **{game}** — {count} logros, {date}",
+    "platinums.lineAgain": "🏆 **{game}** — {count} logros, {date} (compleción {version})",
+    "recap.username": "Resumen anual de Platinum Bot",
+    "recap.title": "El {year} de {name}",
+    "recap.description": "{platinums} platino(s) y {unlocks} logro(s) desbloqueado(s) en {year}.",
+    "recap.platinums": "Platinos",
+    "recap.noPlatinums": "Ningún platino este año",
+    "recap.rarest": "Logro más raro",
+    "recap.rarestValue": "**{achievement}** en {game}",
+    "recap.mostPlayed": "Platino más jugado",
+    "recap.mostPlayedValue": "**{game}** — {hours} h",
+    "guide.title": "La caza de {name} en {game}: faltan {count}",
+    "guide.done": "¡{name} tiene todos los logros de {game}! Caza completada 🏆",
+    "guide.difficulty": "dificultad {score}/10",
+    "guide.sinceLast": "+{count} ({from} → {to})",
+    "guide.noChange": "Sin logros nuevos",
+    "field.sinceLast": "Desde el último informe ({date})",
+    "field.playtime": "Horas jugadas",
+    "playtime.value": "{hours} h",
+    "playtime.line": "{hours} h jugadas",
+    "platinum.days": "{days} día(s) desde el primer logro registrado hasta el platino",
+    "stats.title": "Estadísticas de {name}",
+    "stats.platinums": "Platinos",
+    "stats.playtime": "Tiempo de juego registrado",
+    "stats.avgHours": "Horas medias por platino",
+    "stats.avgDays": "Días medios hasta el platino",
+    "stats.unlocksPerHour": "Logros por hora",
+    "stats.none": "Aún no hay suficientes datos",
+    "goal.title": "Objetivos de compleción de {name}",
+    "goal.line": "• **{game}** ({appid})",
+    "goal.app": "appid {appid}",
+    "goal.none": "{name} aún no tiene objetivos de compleción. Añade uno con /goal y un juego.",
+    "goal.notFound": "No hay progreso registrado de {name} en «{game}». Prueba con su appid.",
+    "goal.notAGoal": "{game} no es uno de los objetivos de {name}.",
+    "goal.removed": "{game} se quitó de los objetivos de {name}.",
+    "goal.exists": "{game} ya es uno de los objetivos de {name}.",
+    "goal.added": "{game} se añadió a los objetivos de {name}. La próxima guía de caza mostrará lo que falta.",
+    "feed.title": "Logros de {name}",
+    "feed.groupTitle": "Logros de Platinum Bot",
+    "feed.unlock": "{name} desbloqueó {achievement} en {game}",
+    "feed.platinum": "{name} consiguió el platino de {game} 🏆",
+  },
+
+  fr: {
+    "bot.username": "Platinum Bot de {name}",
+    "unlock.title": "{name} a débloqué un nouveau succès dans {game} et en est à {pct} % de complétion.",
+    "unlock.titleMany": "{name} a débloqué {count} succès dans {game} et en est à {pct} % de complétion.",
+    "unlock.catchup": "{name} a débloqué {count} succès dans {game} pendant l'absence du bot",
+    "unlock.digest": "{name} a débloqué {count} succès dans {game} pendant les heures calmes",
+    "unlock.unlockedAt": "Débloqué le {date}",
+    "platinum": "Félicitations pour ton tout nouveau platine de {game}, {name} ! 🏆✨",
+    "platinum.imageAlt": "Trophée platine",
+    "platinum.again": "De retour à 100 % ! Félicitations pour avoir reconquis le platine de {game}, {name} ! 🏆✨",
+    "count.added": "➕ {game} a ajouté {count} nouveau(x) succès ; {name} en est maintenant à {pct} %.",
+    "count.removed": "➖ {game} a retiré {count} succès ; {name} en est maintenant à {pct} %.",
+    "count.platinumLost": "💔 Le platine de {game} de {name} est de nouveau à conquérir.",
+    "notice.private_profile": "🔒 Les succès Steam de {name} ne sont pas visibles",
+    "notice.private_profile.help": "Steam indique que le profil ou les détails de jeu de {name} sont privés : impossible d'annoncer de nouveaux succès. Pour corriger cela, ouvre Steam → Profil → Modifier le profil → Paramètres de confidentialité et mets \"Mon profil\" et \"Détails de jeu\" sur Public.",
+    "notice.no_stats": "ℹ️ {game} n'a pas de succès Steam",
+    "notice.no_stats.help": "Steam ne conserve pas de statistiques de succès pour {game} : rien à annoncer pour {name} dans ce jeu.",
+    "milestone.oneAway": "🎯 Il ne manque plus qu'un succès à {name} pour le platine de {game} !",
+    "milestone.first": "🌱 {name} a obtenu son premier succès dans {game} !",
+    "milestone.percent": "📈 {name} a dépassé {pct} % de complétion dans {game} !",
+    "passed": "⚔️ {name} a dépassé {who} dans {game} !",
+    "field.achievement": "Succès",
+    "field.description": "Description du succès :",
+    "field.unlockedOn": "Débloqué le :",
+    "field.progress": "Progression totale de {game} :",
+    "field.rarity": "Rareté",
+    "field.friends": "Amis",
+    "field.rarest": "Succès le plus rare",
+    "field.lastRemaining": "Dernier succès restant",
+    "field.platinum": "Platine",
+    "field.lastUpdated": "Dernière mise à jour :",
+    "progress.line": "Progression totale de {game} : {progress}",
+    "lastRemaining.line": "Dernier restant : {achievement}",
+    "summary.more": "…et {count} de plus",
+    "summary.firstInGroup": "🥇 premier du groupe",
+    "group.first": "🥇 Premier du groupe à l'obtenir !",
+    "group.count": "👥 {have} amis sur {of} l'ont",
+    "achievement.hidden": "Succès caché",
+    "achievement.hiddenName": "Succès caché",
+    "achievement.hiddenDesc": "Détails masqués pour éviter les spoilers.",
+    "date.unknown": "Inconnue",
+    "rarity.line": "🏆 Rareté : {tier} ({pct} % des joueurs)",
+    "tier.Legendary": "Légendaire",
+    "tier.Epic": "Épique",
+    "tier.Rare": "Rare",
+    "tier.Uncommon": "Peu commun",
+    "tier.Common": "Commun",
+    "leaderboard.username": "Classement Platinum Bot",
+    "leaderboard.title": "Classement de la semaine — {week}",
+    "leaderboard.description": "{unlocks} succès débloqué(s) par {players} joueur(s).",
+    "leaderboard.mostUnlocks": "Le plus de succès",
+    "leaderboard.unlocks": "{count} succès",
+    "leaderboard.rarityScore": "Score de rareté",
+    "leaderboard.points": "{count} pts",
+    "leaderboard.rarest": "Succès le plus rare de la semaine",
+    "leaderboard.rarestValue": "{name} : **{achievement}** dans {game}",
+    "leaderboard.platinums": "Platines obtenus",
+    "leaderboard.footer": "Score de rareté : {legend}",
+    "progress.title": "Progression de {name} dans {game} : {pct} %",
+    "progress.completed": "🏆 Terminé",
+    "progress.games": "Jeux suivis de {name}",
+    "platinums.title": "Platines de {name} ({count})",
+    "platinums.line": "🏆 **{game}** — {count} succès",
+    "platinums.lineDated": "🏆 **{game}** — {count} succès, {date}",
+    "platinums.lineAgain": "🏆 **{game}** — {count} succès, {date} ({version}e complétion)",
+    "recap.username": "Bilan annuel Platinum Bot",
+    "recap.title": "L'année {year} de {name}",
+    "recap.description": "{platinums} platine(s) et {unlocks} succès débloqué(s) en {year}.",
+    "recap.platinums": "Platines",
+    "recap.noPlatinums": "Aucun platine cette année",
+    "recap.rarest": "Succès le plus rare",
+    "recap.rarestValue": "**{achievement}** dans {game}",
+    "recap.mostPlayed": "Platine le plus joué",
+    "recap.mostPlayedValue": "**{game}** — {hours} h",
+    "guide.title": "La chasse de {name} dans {game} : encore {count}",
+    "guide.done": "{name} a tous les succès de {game}. Chasse terminée ! 🏆",
+    "guide.difficulty": "difficulté {score}/10",
+    "guide.sinceLast": "+{count} ({from} → {to})",
+    "guide.noChange": "Aucun nouveau succès",
+    "field.sinceLast": "Depuis le dernier rapport ({date})",
+    "field.playtime": "Temps de jeu",
+    "playtime.value": "{hours} h",
+    "playtime.line": "{hours} h de jeu",
+    "platinum.days": "{days} jour(s) entre le premier succès suivi et le platine",
+    "stats.title": "Statistiques de {name}",
+    "stats.platinums": "Platines",
+    "stats.playtime": "Temps de jeu suivi",
+    "stats.avgHours": "Heures moyennes par platine",
+    "stats.avgDays": "Jours moyens jusqu'au platine",
+    "stats.unlocksPerHour": "Succès par heure",
+    "stats.none": "Pas encore assez de données",
+    "goal.title": "Objectifs de complétion de {name}",
+    "goal.line": "• **{game}** ({appid})",
+    "goal.app": "appid {appid}",
+    "goal.none": "{name} n'a pas encore d'objectif de complétion. Ajoutez-en un avec /goal et un jeu.",
+    "goal.notFound": "Aucune progression enregistrée pour {name} dans « {game} ». Essayez plutôt son appid.",
+    "goal.notAGoal": "{game} ne fait pas partie des objectifs de {name}.",
+    "goal.removed": "{game} a été retiré des objectifs de {name}.",
+    "goal.exists": "{game} fait déjà partie des objectifs de {name}.",
+    "goal.added": "{game} a été ajouté aux objectifs de {name}. Le prochain guide de chasse indiquera ce qui reste.",
+    "feed.title": "Succès de {name}",
+    "feed.groupTitle": "Succès de Platinum Bot",
+    "feed.unlock": "{name} a débloqué {achievement} dans {game}",
+    "feed.platinum": "{name} a obtenu le platine de {game} 🏆",
+  },
+};
+
+// Steam Web API language names (the `l` parameter) by BCP 47 tag or language.
+const STEAM_LANGUAGES = {
+  "en": "english",
+  "de": "german",
+  "fr": "french",
+  "es": "spanish",
+  "es-419": "latam",
+  "it": "italian",
+  "pt": "portuguese",
+  "pt-BR": "brazilian",
+  "ru": "russian",
+  "pl": "polish",
+  "nl": "dutch",
+  "sv": "swedish",
+  "da": "danish",
+  "fi": "finnish",
+  "no": "norwegian",
+  "cs": "czech",
+  "hu": "hungarian",
+  "ro": "romanian",
+  "tr": "turkish",
+  "uk": "ukrainian",
+  "el": "greek",
+  "bg": "bulgarian",
+  "th": "thai",
+  "vi": "vietnamese",
+  "ja": "japanese",
+  "ko": "koreana",
+  "zh": "schinese",
+  "zh-CN": "schinese",
+  "zh-TW": "tchinese",
+  "zh-HK": "tchinese",
+};
+
+/** Canonical BCP 47 tag for a locale, or throws if it isn't one. */
+export function canonicalLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(locale)[0];
+  } catch {
+    throw new Error(`"${locale}" is not a valid locale (expected a BCP 47 tag like "en", "de" or "pt-BR")`);
+  }
+}
+
+/** Steam's language name for a locale; falls back to English when Steam has no match. */
+export function steamLanguage(locale) {
+  const tag = canonicalLocale(locale);
+  return STEAM_LANGUAGES[tag] ?? STEAM_LANGUAGES[tag.split("-")[0]] ?? "english";
+}
+
+const translators = new Map();
+
+export function createTranslator(locale = "en") {
+  const tag = canonicalLocale(locale);
+  if (translators.has(tag)) return translators.get(tag);
+
+  const catalogs = [CATALOGS[tag], CATALOGS[tag.split("-")[0]], CATALOGS.en].filter(Boolean);
+  const t = (key, vars = {}) => {
+    const template = catalogs.map((c) => c[key]).find((v) => v !== undefined) ?? key;
+    return template.replace(/\{(\w+)\}/g, (m, k) => (vars[k] !== undefined ? String(vars[k]) : m));
+  };
+
+  const list = new Intl.ListFormat(tag, { type: "conjunction" });
+  const fixed2 = new Intl.NumberFormat(tag, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const fixed1 = new Intl.NumberFormat(tag, { maximumFractionDigits: 1 });
+
+  t.locale = tag;
+  t.list = (items) => list.format(items);
+  t.fixed = (n) => fixed2.format(n);
+  t.hours = (minutes) => fixed1.format(minutes / 60);
+
+  translators.set(tag, t);
+  return t;
+}
@@ -1,20 +1,45 @@
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import {
-  DynamoDBDocumentClient,
-  GetCommand,
-  PutCommand,
-} from "@aws-sdk/lib-dynamodb";
-
-const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+import { createHash, createPublicKey, randomUUID, timingSafeEqual, verify } from "node:crypto";
+import { loadCardIcon } from "./cards.mjs";
+import { ATOM_CONTENT_TYPE, RSS_CONTENT_TYPE, renderAtom, renderRss } from "./feeds.mjs";
+import { RARITY_TIERS, difficultyScore, formatLocalDateFromUnix, formatLocalDayFromUnix, formatRarityLine, localMinuteOfDay, percent, rarityColor, rarityTier, rarityTierLabel } from "./format.mjs";
+import { canonicalLocale, createTranslator, steamLanguage } from "./i18n.mjs";
+import { HIDDEN_POLICIES, cardUnlocks, describeTarget, discordRequest, renderNotification, validateTarget } from "./notifiers.mjs";
+import { createSteamClient, steamErrorKind } from "./steam.mjs";
+import { createStore, instrumentStore, readOnlyStore } from "./store.mjs";
+import { createTelemetry } from "./telemetry.mjs";
 
 const {
-  USERS, // JSON string: [{"name":"Ricky","steamId":"7656..."}, ...]
+  USERS, // JSON string: [{"name":"Ricky","steamId":"7656...","targets":[{"type":"slack","url":"..."}]}, ...]
+         // steamId also takes a custom profile name or a steamcommunity.com/id/... or /profiles/... URL
+         // optional: "quietHours":"23:00-07:00" (in "timezone"), "mention":"everyone"|"none"|"self"|"role:<id>"
+         // ("self" pings "discordId" on Discord and "slackId" on Slack; "role:<id>" pings "slackGroupId"
+         // on Slack), "minRarity":"Rare" (tiers from format.mjs RARITY_TIERS)
   STEAM_API_KEY,
-  DISCORD_WEBHOOK_URL, // default webhook if user doesn't provide one
-  DDB_TABLE,           // state table (per user+game)
+  DISCORD_WEBHOOK_URL, // default webhook if user doesn't provide webhookUrl or targets
+  STATE_BACKEND = "dynamodb", // "dynamodb" | "file" (JSON files under STATE_DIR, for self-hosting)
+  STATE_DIR = ".platinumbot-state",
+  DDB_TABLE = STATE_BACKEND === "file" ? "state" : undefined, // state table (per user+game)
   TIMEZONE = "America/New_York",
+  HIDDEN_ACHIEVEMENTS = "show", // "show" | "spoiler" | "placeholder" (per-user or per-target "hiddenAchievements")
+  CARD_IMAGES = "false",         // attach a generated PNG card to Discord unlock/platinum posts (per-user or per-target "cards")
+  LOCALE = "en", // bot strings, dates and Steam schema language (per-user "locale"); also used for the weekly digest
   ACH_WINDOW_SECONDS = "900", // 15 minutes default
+  CATCHUP_MAX_SECONDS = "604800", // never reach back further than this for missed unlocks (7 days)
+  CATCHUP_MAX_POSTS = "5",        // missed unlocks above this are collapsed into one summary post
+  POST_MODE = "batched",          // "individual" | "batched" | "summary" (per-user "postMode")
+  BURST_THRESHOLD = "10",         // batched mode: more unlocks than this become one burst summary (per-user "burstThreshold")
+  MILESTONES = "25,50,75,90",     // completion percentages that get a milestone post (per-user "milestones")
+  SCAN_CHECKPOINT_SECONDS = "3600", // min age before an otherwise unchanged row is rewritten to advance lastScanAt
   CONCURRENCY = "3",
+
+  // Steam client: retries, per-run request budget and persisted schema/rarity cache TTLs
+  STEAM_MAX_CALLS_PER_RUN = "200",
+  STEAM_MAX_RETRIES = "3",
+  SCHEMA_CACHE_TTL_HOURS = "24",
+  RARITY_CACHE_TTL_HOURS = "6",
+  VANITY_CACHE_TTL_HOURS = "168", // custom profile name -> SteamID lookups
+  RECENT_DAYS = "2",         // how far back to look for played games (per-user "recentDays")
+  MAX_GAMES_PER_USER = "5",  // cap on games checked per user per run (per-user "maxGames")
   PLATINUM_IMAGE_URL = "https://i.imgur.com/8mQe7pD.jpeg",
 
   // Guard rail (bytes). DynamoDB item limit is 400KB; keep a buffer.
@@ -22,12 +47,53 @@ const {
 
   // Weekly leaderboard event logging (optional)
   EVENTS_TABLE,          // e.g. "SteamAchievementEvents"
-  EVENT_TTL_DAYS = "120"
+  EVENT_TTL_DAYS = "120", // the year in review keeps its own yearly counters, so this only bounds the event log
+  LEADERBOARD_WEBHOOK_URL, // weekly digest webhook; falls back to DISCORD_WEBHOOK_URL
+  LEADERBOARD_SIZE = "10",
+
+  // Delivery to every target: retries for 429/5xx, then a durable outbox (optional) drained next run
+  DISCORD_MAX_RETRIES = "4",
+  NOTIFY_MAX_RETRIES = DISCORD_MAX_RETRIES,
+  NOTIFY_MAX_RETRY_AFTER_SECONDS = "5", // longer rate limits queue the post instead of waiting out the run
+  OUTBOX_TABLE,          // e.g. "PlatinumBotOutbox" (PK only)
+  OUTBOX_TTL_DAYS = "14",
+
+  // Overlapping or retried runs: each post is claimed in the state table before it goes out
+  CLAIM_TTL_SECONDS = "3600", // a claim left by a run that died before saving state blocks reposts this long
+
+  // Slash commands (interactionsHandler): the application's Ed25519 public key, hex encoded
+  DISCORD_PUBLIC_KEY,
+
+  // Read-only HTTP API (apiHandler as a function URL, or `node cli.mjs serve`)
+  API_TOKEN,    // optional; then required as "Authorization: Bearer <token>" or ?token= (for feed readers)
+  API_BASE_URL, // public base URL for feed self links; defaults to https://<Host header>
+
+  // Logging and metrics: JSON lines with run id/user/appid, and an end-of-run summary
+  LOG_FORMAT = "json",         // "json" | "text" (classic "[name] message" lines)
+  METRICS_EMF = "false",       // also print the summary in CloudWatch Embedded Metric Format
+  METRICS_NAMESPACE = "PlatinumBot",
+
+  // Local debugging (see cli.mjs): print posts instead of sending them and skip every store write
+  DRY_RUN = "false",
+  STEAM_FIXTURES_DIR,          // record Steam responses here, or replay them instead of calling Steam
+  STEAM_FIXTURES_MODE = "replay", // "replay" | "record"
 } = process.env;
 
 const DEFAULT_WINDOW = Number(ACH_WINDOW_SECONDS) || 900;
+const CATCHUP_HORIZON = Math.max(DEFAULT_WINDOW, Number(CATCHUP_MAX_SECONDS) || 604800);
+const CATCHUP_POST_CAP = Math.max(1, Number(CATCHUP_MAX_POSTS) || 5);
+const SCAN_CHECKPOINT = Math.max(0, Number(SCAN_CHECKPOINT_SECONDS) || 3600);
+const POST_MODES = ["individual", "batched", "summary"];
+const DEFAULT_BURST_THRESHOLD = Math.max(1, Number(BURST_THRESHOLD) || 10);
+const DEFAULT_MILESTONES = parseMilestones(MILESTONES);
+const DEFAULT_RECENT_DAYS = Number(RECENT_DAYS) || 2;
+const DEFAULT_MAX_GAMES = Math.max(1, Number(MAX_GAMES_PER_USER) || 5);
 const MAX_CONCURRENCY = Math.max(1, Number(CONCURRENCY) || 3);
+const MAX_NOTIFY_RETRIES = Math.max(0, Number(NOTIFY_MAX_RETRIES) || 4);
+const MAX_RETRY_AFTER_MS = Math.max(0, Number(NOTIFY_MAX_RETRY_AFTER_SECONDS) || 5) * 1000;
 const MAX_ITEM_BYTES = Math.max(100000, Number(DDB_ITEM_MAX_BYTES) || 350000);
+const DRY = ["1", "true", "yes"].includes(String(DRY_RUN).toLowerCase());
+const DEFAULT_CARDS = ["1", "true", "yes"].includes(String(CARD_IMAGES).toLowerCase());
 
 function mustEnv(name) {
   if (!process.env[name]) throw new Error(`Missing env var: ${name}`);
@@ -36,7 +102,98 @@ function mustEnv(name) {
 mustEnv("USERS");
 mustEnv("STEAM_API_KEY");
 mustEnv("DISCORD_WEBHOOK_URL");
-mustEnv("DDB_TABLE");
+if (STATE_BACKEND === "dynamodb") mustEnv("DDB_TABLE");
+
+const telemetry = createTelemetry({
+  format: LOG_FORMAT,
+  emf: ["1", "true", "yes"].includes(String(METRICS_EMF).toLowerCase()),
+  namespace: METRICS_NAMESPACE,
+});
+
+// Counted below the dry-run wrapper, so skipped writes don't show up as store operations.
+const countedStore = instrumentStore(
+  createStore({ backend: STATE_BACKEND, dir: STATE_DIR }),
+  (op, table) => telemetry.count(["store", op, table])
+);
+const store = DRY ? readOnlyStore(countedStore, (msg) => log("system", msg)) : countedStore;
+
+const steam = createSteamClient({
+  apiKey: STEAM_API_KEY,
+  // With fixtures, every response must come from (or go to) disk, so skip the persisted cache.
+  store: STEAM_FIXTURES_DIR ? null : store,
+  cacheTable: DDB_TABLE, // cache rows live beside state rows under a "cache#" PK prefix
+  maxCallsPerRun: Math.max(1, Number(STEAM_MAX_CALLS_PER_RUN) || 200),
+  maxRetries: Math.max(0, Number(STEAM_MAX_RETRIES) || 3),
+  schemaTtlSeconds: (Number(SCHEMA_CACHE_TTL_HOURS) || 24) * 3600,
+  rarityTtlSeconds: (Number(RARITY_CACHE_TTL_HOURS) || 6) * 3600,
+  vanityTtlSeconds: (Number(VANITY_CACHE_TTL_HOURS) || 168) * 3600,
+  maxCacheItemBytes: MAX_ITEM_BYTES,
+  fixtures: STEAM_FIXTURES_DIR ? { dir: STEAM_FIXTURES_DIR, mode: STEAM_FIXTURES_MODE } : null,
+  log,
+});
+
+canonicalLocale(LOCALE);
+
+if (!HIDDEN_POLICIES.includes(HIDDEN_ACHIEVEMENTS)) {
+  throw new Error(`HIDDEN_ACHIEVEMENTS must be one of ${HIDDEN_POLICIES.join(", ")}. Got: ${HIDDEN_ACHIEVEMENTS}`);
+}
+
+if (!POST_MODES.includes(POST_MODE)) {
+  throw new Error(`POST_MODE must be one of ${POST_MODES.join(", ")}. Got: ${POST_MODE}`);
+}
+
+function parseMilestones(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+  return [...new Set(list.map((v) => Number(v)).filter((n) => Number.isInteger(n) && n > 0 && n < 100))].sort((a, b) => a - b);
+}
+
+// "22:00-07:00" in the user's timezone; may wrap past midnight. Minutes since midnight.
+function parseQuietHours(value) {
+  const m = String(value).trim().match(/^([01]?\d|2[0-3]):([0-5]\d)\s*-\s*([01]?\d|2[0-3]):([0-5]\d)$/);
+  const start = m ? Number(m[1]) * 60 + Number(m[2]) : null;
+  const end = m ? Number(m[3]) * 60 + Number(m[4]) : null;
+  if (!m || start === end) throw new Error(`quietHours must look like "22:00-07:00". Got: ${JSON.stringify(value)}`);
+  return { start, end };
+}
+
+function inQuietHours(quietHours, tz, nowSec) {
+  if (!quietHours) return false;
+  const minute = localMinuteOfDay(nowSec, tz);
+  const { start, end } = quietHours;
+  return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+// Who platinum posts ping. Resolves null for "none".
+// Slack member and user group ids look like U024BE7LH and S0614TZR7.
+function slackMentionId(user, field) {
+  const id = user[field];
+  if (id === undefined) return null;
+  if (!/^[A-Z0-9]+$/.test(String(id))) throw new Error(`"${field}" must be a Slack id like U024BE7LH. Bad entry: ${JSON.stringify(user.name)}`);
+  return String(id);
+}
+
+function parseMention(user) {
+  const value = user.mention ?? "everyone";
+  if (value === "none") return null;
+  if (value === "everyone") return { type: "everyone" };
+  if (value === "self") {
+    const slackId = slackMentionId(user, "slackId");
+    if (user.discordId === undefined && slackId) return { type: "user", id: null, slackId };
+    if (!/^\d+$/.test(String(user.discordId ?? ""))) {
+      throw new Error(`mention "self" needs a numeric "discordId" or a "slackId". Bad entry: ${JSON.stringify(user.name)}`);
+    }
+    return { type: "user", id: String(user.discordId), slackId };
+  }
+  const role = String(value).match(/^role:(\d+)$/);
+  if (role) return { type: "role", id: role[1], slackId: slackMentionId(user, "slackGroupId") };
+  throw new Error(`mention must be "everyone", "none", "self" or "role:<id>". Bad entry: ${JSON.stringify(user.name)}`);
+}
+
+// Unlocks without rarity data always pass.
+function meetsMinRarity(rarityPct, minRarity) {
+  if (rarityPct === null) return true;
+  return RARITY_TIERS.indexOf(rarityTier(rarityPct)) >= RARITY_TIERS.indexOf(minRarity);
+}
 
 function parseUsers() {
   let parsed;
@@ -52,32 +209,57 @@ function parseUsers() {
     if (!u?.name || !u?.steamId) {
       throw new Error(`Each user must include { "name", "steamId" }. Bad entry: ${JSON.stringify(u)}`);
     }
+    if (u.postMode !== undefined && !POST_MODES.includes(u.postMode)) {
+      throw new Error(`postMode must be one of ${POST_MODES.join(", ")}. Bad entry: ${JSON.stringify(u)}`);
+    }
+    if (u.locale !== undefined) canonicalLocale(u.locale);
+    if (u.hiddenAchievements !== undefined && !HIDDEN_POLICIES.includes(u.hiddenAchievements)) {
+      throw new Error(`hiddenAchievements must be one of ${HIDDEN_POLICIES.join(", ")}. Bad entry: ${JSON.stringify(u.name)}`);
+    }
+    if (u.cards !== undefined && typeof u.cards !== "boolean") {
+      throw new Error(`cards must be true or false. Bad entry: ${JSON.stringify(u.name)}`);
+    }
+    if (u.quietHours !== undefined) parseQuietHours(u.quietHours);
+    parseMention(u);
+    if (u.minRarity !== undefined && !RARITY_TIERS.includes(u.minRarity)) {
+      throw new Error(`minRarity must be one of ${RARITY_TIERS.join(", ")}. Bad entry: ${JSON.stringify(u.name)}`);
+    }
+    if (u.targets !== undefined) {
+      if (!Array.isArray(u.targets) || u.targets.length === 0) {
+        throw new Error(`targets must be a non-empty array. Bad entry for ${u.name}`);
+      }
+      u.targets.forEach(validateTarget);
+    }
   }
   return parsed;
 }
 
-function log(name, msg) {
-  console.log(`[${name}] ${msg}`);
-}
-
-async function steamGet(name, url) {
-  const res = await fetch(url);
-  if (!res.ok) {
-    const body = await res.text();
-    log(name, `Steam API call failed: ${res.status} ${body}`);
-    throw new Error(`Steam API error ${res.status}: ${body}`);
-  }
-  return res.json();
+// "7656...", ".../profiles/7656...", ".../id/<vanity>" or a bare vanity name.
+function parseSteamProfile(value) {
+  const s = String(value).trim();
+  const m = s.match(/steamcommunity\.com\/(profiles|id)\/([^/?#]+)/i);
+  if (m) return m[1].toLowerCase() === "profiles" ? { steamId: m[2] } : { vanity: decodeURIComponent(m[2]) };
+  return /^\d+$/.test(s) ? { steamId: s } : { vanity: s };
 }
 
-function percent(numer, denom) {
-  if (!denom) return 0;
-  return Math.floor((numer / denom) * 100);
+// Users with steamId replaced by the 64-bit SteamID. Ones that can't be resolved keep
+// their entry with a resolveError so the rest of the run carries on.
+async function resolveUsers(users) {
+  return Promise.all(users.map(async (u) => {
+    const profile = parseSteamProfile(u.steamId);
+    if (profile.steamId) return { ...u, steamId: profile.steamId };
+    try {
+      return { ...u, steamId: await steam.resolveVanityUrl(u.name, profile.vanity) };
+    } catch (e) {
+      log(u.name, `Could not resolve Steam profile "${u.steamId}": ${e?.message ?? String(e)}`);
+      return { ...u, resolveError: e?.message ?? String(e) };
+    }
+  }));
 }
 
-function formatLocalDateFromUnix(sec, tz) {
-  if (!sec) return "Unknown";
-  return new Date(sec * 1000).toLocaleString("en-US", { timeZone: tz });
+// fields (optional) become JSON attributes, e.g. { event: "post.sent", target: "slack" }.
+function log(name, msg, fields) {
+  telemetry.log(name, msg, fields);
 }
 
 /* -------------------- Leaderboard Event Logging -------------------- */
@@ -98,6 +280,7 @@ async function recordAchievementEvent({
   gameTitle,
   achievementApiName,
   achievementDisplayName,
+  hidden,
   rarityPercent,
   unlockedAtSec,
 }) {
@@ -117,6 +300,7 @@ async function recordAchievementEvent({
   const item = {
     PK: pk,
     SK: sk,
+    type: "achievement",
     week,
     name,
     steamId,
@@ -124,233 +308,801 @@ async function recordAchievementEvent({
     gameTitle,
     achievementApiName,
     achievementDisplayName,
+    hidden: !!hidden,
     rarityPercent: Number.isFinite(rarityPercent) ? rarityPercent : null,
     unlockedAtSec,
     ttl,
   };
 
+  await putEventItem(item);
+}
+
+async function recordPlatinumEvent({
+  name,
+  steamId,
+  appid,
+  gameTitle,
+  totalAchievements,
+  completedAtSec,
+  version = 1,
+}) {
+  if (!EVENTS_TABLE) return;
+
+  const week = isoWeekKey(new Date(completedAtSec * 1000));
+  const ttlDays = Number(EVENT_TTL_DAYS) || 120;
+
+  await putEventItem({
+    PK: `week#${week}`,
+    SK:
+      `user#${steamId}` +
+      `#t#${String(completedAtSec).padStart(10, "0")}` +
+      `#app#${appid}` +
+      `#platinum` +
+      (version > 1 ? `#v${version}` : ""),
+    type: "platinum",
+    week,
+    name,
+    steamId,
+    appid,
+    gameTitle,
+    totalAchievements,
+    version,
+    unlockedAtSec: completedAtSec,
+    ttl: Math.floor(Date.now() / 1000) + ttlDays * 86400,
+  });
+}
+
+async function putEventItem(item) {
+  try {
+    await store.put(EVENTS_TABLE, item, { ifNotExists: true });
+  } catch (e) {
+    log("system", `Failed to record event: ${e?.name || e?.message || String(e)}`);
+  }
+}
+
+/* -------------------- Trophy cabinet -------------------- */
+
+// One row per platinum in the state table, kept for good (EVENTS_TABLE rows expire).
+// Re-earning a platinum after new achievements were added records another version.
+function trophyPk(steamId, appid, version = 1) {
+  return `trophy#${steamId}#app#${appid}` + (version > 1 ? `#v${version}` : "");
+}
+
+function rarestUnlocked(apiNames, schemaByApi, rarityMap) {
+  let rarest = null;
+  for (const api of apiNames) {
+    const pct = rarityMap?.get(api);
+    if (!Number.isFinite(pct) || (rarest && pct >= rarest.pct)) continue;
+    rarest = { apiname: api, name: schemaByApi?.get(api)?.displayName || api, pct, hidden: Number(schemaByApi?.get(api)?.hidden) === 1 };
+  }
+  return rarest;
+}
+
+async function recordTrophy({
+  name,
+  steamId,
+  appid,
+  gameTitle,
+  totalAchievements,
+  completedAtSec,
+  rarest,
+  playtimeMinutes,
+  firstUnlockAtSec,
+  version = 1,
+}) {
+  try {
+    const added = await store.put(DDB_TABLE, {
+      PK: trophyPk(steamId, appid, version),
+      type: "platinum",
+      name,
+      steamId,
+      appid,
+      gameTitle,
+      totalAchievements,
+      version,
+      completedAtSec,
+      rarest,
+      playtimeMinutes: Number.isFinite(playtimeMinutes) ? playtimeMinutes : null,
+      firstUnlockAtSec: firstUnlockAtSec ?? null,
+      recordedAt: Math.floor(Date.now() / 1000),
+    }, { ifNotExists: true });
+    log(name, added ? `Added ${gameTitle} to the trophy cabinet` : `${gameTitle} is already in the trophy cabinet`);
+    if (added) await updateUserIndex(steamId, "trophies", { add: [trophyPk(steamId, appid, version)] });
+  } catch (e) {
+    log(name, `Failed to record platinum history: ${e?.name || e?.message || String(e)}`);
+  }
+}
+
+// Whole days from a game's first tracked unlock to its completion; same-day counts as one.
+function daysToPlatinum(firstUnlockAtSec, completedAtSec) {
+  if (!firstUnlockAtSec || !completedAtSec) return null;
+  return Math.max(1, Math.ceil((completedAtSec - firstUnlockAtSec) / 86400));
+}
+
+// Newest first.
+async function listTrophies(steamId) {
+  const rows = await getIndexedRows(steamId, "trophies");
+  return rows.sort((a, b) => (b.completedAtSec ?? 0) - (a.completedAtSec ?? 0));
+}
+
+/* -------------------- Per-user index -------------------- */
+
+// One row per user listing the keys of their game state rows, trophies and goals, so
+// commands read by key instead of scanning a state table full of cache, chunk and claim rows.
+const INDEX_PREFIXES = {
+  games: (steamId) => `steam#${steamId}#app#`,
+  trophies: (steamId) => `trophy#${steamId}#`,
+  goals: (steamId) => `goal#${steamId}#app#`,
+};
+
+function userIndexPk(steamId) {
+  return `index#${steamId}`;
+}
+
+function loadUserIndex(steamId) {
+  return store.get(DDB_TABLE, { PK: userIndexPk(steamId) });
+}
+
+// Users tracked before the index existed, and ones whose index a write started before the
+// scheduled run got to them ("partial"), get theirs built here from one scan shared by all
+// of them. Commands only ever read the index, so they stay inside Discord's reply window.
+async function buildUserIndexes(steamIds) {
+  const missing = [];
+  for (const steamId of steamIds) {
+    const row = await loadUserIndex(steamId);
+    if (!row || row.partial) missing.push(steamId);
+  }
+  if (missing.length === 0) return;
+
+  const found = new Map(missing.map((steamId) => [steamId, Object.fromEntries(Object.keys(INDEX_PREFIXES).map((list) => [list, []]))]));
+  for (const r of await store.scan(DDB_TABLE)) {
+    if (r.chunkOf) continue;
+    for (const [steamId, lists] of found) {
+      const list = Object.keys(INDEX_PREFIXES).find((l) => String(r.PK).startsWith(INDEX_PREFIXES[l](steamId)));
+      if (list) lists[list].push(r.PK);
+    }
+  }
+
+  for (const [steamId, lists] of found) {
+    for (let attempt = 1; attempt <= STATE_WRITE_ATTEMPTS; attempt++) {
+      const row = await loadUserIndex(steamId);
+      const merged = Object.fromEntries(Object.entries(lists).map(([list, keys]) => [list, Array.from(new Set([...(row?.[list] ?? []), ...keys]))]));
+      const version = Number(row?.version) || 0;
+      if (await store.put(DDB_TABLE, { PK: userIndexPk(steamId), steamId, ...merged, version: version + 1 }, { ifVersion: row ? version : null })) {
+        log("system", `Built the state index for ${steamId}`);
+        break;
+      }
+    }
+  }
+}
+
+async function updateUserIndex(steamId, list, { add = [], remove = [] }) {
   try {
-    await ddb.send(new PutCommand({
-      TableName: EVENTS_TABLE,
-      Item: item,
-      ConditionExpression: "attribute_not_exists(PK) AND attribute_not_exists(SK)",
-    }));
+    for (let attempt = 1; attempt <= STATE_WRITE_ATTEMPTS; attempt++) {
+      const row = (await loadUserIndex(steamId)) ?? { PK: userIndexPk(steamId), steamId, partial: true };
+      const keys = new Set(row[list] ?? []);
+      if (!add.some((k) => !keys.has(k)) && !remove.some((k) => keys.has(k))) return;
+      for (const k of add) keys.add(k);
+      for (const k of remove) keys.delete(k);
+
+      const version = Number(row.version) || 0;
+      if (await store.put(DDB_TABLE, { ...row, [list]: Array.from(keys), version: version + 1 }, { ifVersion: row.version ? version : null })) return;
+    }
+    log("system", `State index for ${steamId} kept changing; ${list} may be incomplete`);
   } catch (e) {
-    const msg = e?.name || e?.message || String(e);
-    if (String(msg).includes("ConditionalCheckFailed")) return;
-    console.log(`[system] Failed to record event: ${msg}`);
+    log("system", `Failed to update the state index for ${steamId}: ${e?.name || e?.message || String(e)}`);
   }
 }
 
-/* -------------------- DynamoDB guardrail + state -------------------- */
+// Rows the index lists that have since gone away are skipped.
+async function getIndexedRows(steamId, list) {
+  const keys = (await loadUserIndex(steamId))?.[list] ?? [];
+  const rows = await Promise.all(keys.map((key) => store.get(DDB_TABLE, { PK: key })));
+  return rows.filter(Boolean);
+}
+
+/* -------------------- State rows + chunking -------------------- */
+
+// List attributes that grow with the game's achievement count. When a state row would
+// exceed MAX_ITEM_BYTES these move into chunk rows so nothing ever has to be dropped.
+const STATE_LIST_FIELDS = ["announcedApiNames", "unlockedApiNames", "lockedApiNames", "unannouncedUnlockedApiNames"];
+
+const STATE_WRITE_ATTEMPTS = 3;
 
 function approxUtf8Bytes(obj) {
   const s = JSON.stringify(obj);
   return Buffer.byteLength(s, "utf8");
 }
 
-function applyDdbSizeGuardrail(name, item) {
-  const initialBytes = approxUtf8Bytes(item);
-  if (initialBytes <= MAX_ITEM_BYTES) {
-    return { item, truncated: false, bytes: initialBytes };
-  }
+// Every write puts changed chunks under fresh keys (its writeId) and the main row lists the
+// keys it uses, so a writer that loses the version check never touches live chunks. Rows
+// from before chunkKeys existed use the bare count-and-index keys.
+function chunkPk(pk, count, i, writeId) {
+  return writeId ? `${pk}#chunk#${count}#${i}#${writeId}` : `${pk}#chunk#${count}#${i}`;
+}
 
-  log(name, `⚠️ DynamoDB item nearing size limit: approxBytes=${initialBytes}. Truncating arrays (limit=${MAX_ITEM_BYTES}).`);
+// Hash-bucket by apiname: adding or announcing one achievement only touches one chunk.
+function chunkIndex(apiname, count) {
+  return createHash("sha1").update(String(apiname)).digest().readUInt32BE(0) % count;
+}
 
-  const trimmed = {
-    ...item,
-    unlockedApiNames: undefined,
-    lockedApiNames: undefined,
-    unannouncedUnlockedApiNames: undefined,
-    arraysTruncated: true,
-    approxBytesBeforeTruncate: initialBytes,
-  };
+function splitStateChunks(item, count) {
+  const chunks = Array.from({ length: count }, (_, i) => ({
+    PK: chunkPk(item.PK, count, i),
+    chunkOf: item.PK,
+    ...Object.fromEntries(STATE_LIST_FIELDS.map((f) => [f, []])),
+  }));
+  for (const f of STATE_LIST_FIELDS) {
+    for (const api of item[f] ?? []) chunks[chunkIndex(api, count)][f].push(api);
+  }
+  for (const c of chunks) {
+    for (const f of STATE_LIST_FIELDS) c[f].sort();
+  }
+  return chunks;
+}
 
-  for (const k of Object.keys(trimmed)) {
-    if (trimmed[k] === undefined) delete trimmed[k];
+function planStateLayout(item, priorChunkCount) {
+  const bytes = approxUtf8Bytes(item);
+  if (bytes <= MAX_ITEM_BYTES) return { main: item, chunks: [], bytes };
+
+  const main = { ...item };
+  for (const f of STATE_LIST_FIELDS) delete main[f];
+
+  // Aim for half-full chunks so they have room to grow, and never shrink an existing
+  // layout (that would rewrite every chunk for no benefit).
+  const needed = 2 ** Math.ceil(Math.log2(Math.max(1, Math.ceil(bytes / (MAX_ITEM_BYTES / 2)))));
+  let count = Math.max(priorChunkCount, needed);
+  let chunks = splitStateChunks(item, count);
+  while (chunks.some((c) => approxUtf8Bytes(c) > MAX_ITEM_BYTES)) {
+    count *= 2;
+    chunks = splitStateChunks(item, count);
   }
 
-  const finalBytes = approxUtf8Bytes(trimmed);
+  main.chunkCount = count;
+  return { main, chunks, bytes };
+}
+
+function sameChunk(a, b) {
+  if (!a || !b) return false;
+  return STATE_LIST_FIELDS.every((f) => {
+    const x = a[f] ?? [];
+    const y = b[f] ?? [];
+    return x.length === y.length && x.every((v, i) => v === y[i]);
+  });
+}
 
-  if (finalBytes > MAX_ITEM_BYTES) {
-    log(name, `🚨 Still too large after truncation: approxBytes=${finalBytes}. Dropping announcedApiNames as last resort (may repost).`);
-    delete trimmed.announcedApiNames;
-    trimmed.announcedDropped = true;
-    const finalFinalBytes = approxUtf8Bytes(trimmed);
-    return { item: trimmed, truncated: true, bytes: finalFinalBytes };
+/**
+ * Load a state row, reassembling list attributes from its chunk rows when it was split.
+ * Resolves { priorItem, priorChunks } with priorItem null when the row doesn't exist.
+ */
+async function loadStateItem(pk) {
+  const mainItem = await store.get(DDB_TABLE, { PK: pk });
+  if (!mainItem?.chunkCount) return { priorItem: mainItem, priorChunks: [] };
+
+  const count = Number(mainItem.chunkCount);
+  const keys = mainItem.chunkKeys ?? Array.from({ length: count }, (_, i) => chunkPk(pk, count, i));
+  const priorChunks = await Promise.all(keys.map((key) => store.get(DDB_TABLE, { PK: key })));
+  if (priorChunks.some((c) => !c)) {
+    // Better to fail than to treat missing announced names as unannounced and repost.
+    throw new Error(`State for ${pk} references ${count} chunk(s) but some are missing`);
   }
 
-  return { item: trimmed, truncated: true, bytes: finalBytes };
+  const priorItem = { ...mainItem };
+  for (const f of STATE_LIST_FIELDS) priorItem[f] = priorChunks.flatMap((c) => c[f] ?? []);
+  return { priorItem, priorChunks };
 }
 
 async function getState(name, pk) {
-  log(name, `DynamoDB GetItem PK=${pk}`);
-  const out = await ddb.send(new GetCommand({ TableName: DDB_TABLE, Key: { PK: pk } }));
+  log(name, `State GetItem PK=${pk} (backend=${store.backend})`);
+  const { priorItem, priorChunks } = await loadStateItem(pk);
+  if (priorChunks.length > 0) log(name, `State reassembled from ${priorChunks.length} chunk(s)`);
 
-  const exists = !!out.Item;
-  const announcedApiNames = out.Item?.announcedApiNames ?? out.Item?.announced ?? [];
-  const platinumAnnounced = !!out.Item?.platinumAnnounced;
+  const exists = !!priorItem;
+  const announcedApiNames = priorItem?.announcedApiNames ?? priorItem?.announced ?? [];
+  const platinumAnnounced = !!priorItem?.platinumAnnounced;
+
+  // Rows written by the old size guardrail may have lost their announced list entirely.
+  const announcedDropped = !!priorItem?.announcedDropped;
 
   log(
     name,
-    `DynamoDB state loaded: exists=${exists} announcedCount=${announcedApiNames.length} platinumAnnounced=${platinumAnnounced}`
+    `State loaded: exists=${exists} announcedCount=${announcedApiNames.length} platinumAnnounced=${platinumAnnounced}${announcedDropped ? " (announced list was dropped; re-bootstrapping)" : ""}`
   );
 
-  return { exists, announcedApiNames, platinumAnnounced, priorItem: out.Item ?? null };
+  return { exists, announcedApiNames, platinumAnnounced, announcedDropped, priorItem, priorChunks };
+}
+
+// Another run may have saved the row since we read it. Keep everything either run announced;
+// counts and lists describing the player come from this (newer) scan.
+function mergeStateItem(item, latest) {
+  const announced = new Set([...(latest.announcedApiNames ?? latest.announced ?? []), ...item.announcedApiNames]);
+  const milestones = new Set([...(latest.milestonesAnnounced ?? []), ...(item.milestonesAnnounced ?? [])]);
+  const firsts = [item.firstUnlockAt, Number(latest.firstUnlockAt)].filter((v) => v > 0);
+  return {
+    ...item,
+    announcedApiNames: Array.from(announced),
+    unannouncedUnlockedApiNames: item.unlockedApiNames.filter((api) => !announced.has(api)),
+    platinumAnnounced: item.platinumAnnounced || !!latest.platinumAnnounced,
+    platinumVersion: Math.max(item.platinumVersion ?? 0, Number(latest.platinumVersion) || 0),
+    milestonesAnnounced: Array.from(milestones),
+    firstUnlockAt: firsts.length > 0 ? Math.min(...firsts) : null,
+    deferredApiNames: (item.deferredApiNames ?? []).filter((api) => !announced.has(api)),
+    lastScanAt: Math.max(item.lastScanAt ?? 0, Number(latest.lastScanAt) || 0),
+  };
+}
+
+/**
+ * Write a state row with optimistic concurrency: the main row carries a version and is only
+ * replaced if it still has the version we read. On a conflict the newer row is reloaded,
+ * merged and the write retried.
+ */
+async function saveStateItem(name, item, { priorItem, priorChunks }) {
+  let next = item;
+  let prior = { priorItem, priorChunks };
+  for (let attempt = 1; ; attempt++) {
+    const expected = prior.priorItem ? Number(prior.priorItem.version) || 0 : null;
+    const written = await putStateItem(name, { ...next, version: (expected ?? 0) + 1 }, prior.priorChunks, expected);
+    if (written && expected === null) await updateUserIndex(item.steamId, "games", { add: [item.PK] });
+    if (written) return;
+    if (attempt >= STATE_WRITE_ATTEMPTS) {
+      throw new Error(`State for ${item.PK} kept changing during ${attempt} write attempts`);
+    }
+    log(name, `State for ${item.PK} was saved by another run; merging and retrying`, { event: "state.conflict" });
+    prior = await loadStateItem(item.PK);
+    if (prior.priorItem) next = mergeStateItem(next, prior.priorItem);
+  }
 }
 
-async function putStateItem(name, item) {
-  const { item: safeItem, truncated, bytes } = applyDdbSizeGuardrail(name, item);
+// Resolves false (and leaves the stored row and its chunks alone) when the row's version
+// isn't expectedVersion.
+async function putStateItem(name, item, priorChunks = [], expectedVersion) {
+  const { main, chunks, bytes } = planStateLayout(item, priorChunks.length);
+
+  // Unchanged chunks keep their rows; changed ones go to new keys before the main row
+  // switches over to them.
+  const writeId = randomUUID();
+  const changed = [];
+  for (const [i, c] of chunks.entries()) {
+    if (chunks.length === priorChunks.length && sameChunk(c, priorChunks[i])) {
+      c.PK = priorChunks[i].PK;
+    } else {
+      c.PK = chunkPk(main.PK, chunks.length, i, writeId);
+      changed.push(c);
+    }
+  }
+  if (chunks.length > 0) main.chunkKeys = chunks.map((c) => c.PK);
+  for (const c of changed) await store.put(DDB_TABLE, c);
 
   log(
     name,
-    `DynamoDB PutItem PK=${safeItem.PK} gameTitle="${safeItem.gameTitle}" progress=${safeItem.progressText} announcedCount=${safeItem.announcedApiNames?.length ?? 0} platinumAnnounced=${!!safeItem.platinumAnnounced} approxBytes=${bytes}${truncated ? " (TRUNCATED)" : ""}`
+    `State PutItem PK=${main.PK} gameTitle="${main.gameTitle}" progress=${main.progressText} announcedCount=${item.announcedApiNames?.length ?? 0} platinumAnnounced=${!!main.platinumAnnounced} approxBytes=${bytes}` +
+      (chunks.length > 0 ? ` chunks=${chunks.length} chunksWritten=${changed.length}` : "")
   );
 
-  await ddb.send(new PutCommand({ TableName: DDB_TABLE, Item: safeItem }));
+  if (!(await store.put(DDB_TABLE, main, { ifVersion: expectedVersion }))) {
+    for (const c of changed) await store.delete(DDB_TABLE, { PK: c.PK });
+    return false;
+  }
+
+  // Drop replaced chunks once the main row no longer references them.
+  const live = new Set(main.chunkKeys ?? []);
+  const stale = priorChunks.filter((c) => !live.has(c.PK));
+  for (const c of stale) await store.delete(DDB_TABLE, { PK: c.PK });
+  if (stale.length > 0) log(name, `Removed ${stale.length} stale state chunk(s)`);
+  return true;
 }
 
-/* -------------------- Discord posting -------------------- */
+/* -------------------- Notification delivery -------------------- */
 
-async function postDiscordPayload(name, webhookUrl, payload) {
-  const res = await fetch(webhookUrl, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-  if (!res.ok) {
-    const body = await res.text();
-    log(name, `Discord webhook failed: ${res.status} ${body}`);
-    throw new Error(`Discord webhook error ${res.status}: ${body}`);
+class DeliveryError extends Error {
+  constructor(message, { status = null, transient = true } = {}) {
+    super(message);
+    this.name = "DeliveryError";
+    this.status = status;
+    this.transient = transient;
   }
 }
 
-async function postDiscordEmbed(name, webhookUrl, embed) {
-  log(name, `Posting Discord embed: achievement="${embed?.fields?.find(f => f.name === "Achievement")?.value ?? "unknown"}"`);
-  await postDiscordPayload(name, webhookUrl, {
-    username: `${name}'s Platinum Bot`,
-    embeds: [embed],
-  });
-  log(name, "Discord post succeeded");
+// Per-endpoint rate limit buckets learned from X-RateLimit-* headers (Discord sends them).
+const rateBuckets = new Map(); // origin + path -> { remaining, resetAtMs }
+
+function bucketKey(url) {
+  const u = new URL(url);
+  return `${u.origin}${u.pathname}`;
 }
 
-async function postPlatinumCongrats(name, webhookUrl, gameTitle) {
-  const msg = `@everyone Congratulations on your shiny new ${gameTitle} platinum, ${name}! 🏆✨`;
-  await postDiscordPayload(name, webhookUrl, {
-    username: `${name}'s Platinum Bot`,
-    content: msg,
-    embeds: PLATINUM_IMAGE_URL ? [{ thumbnail: { url: PLATINUM_IMAGE_URL } }] : [],
+function updateBucket(url, res) {
+  const remaining = res.headers.get("x-ratelimit-remaining");
+  const resetAfter = res.headers.get("x-ratelimit-reset-after");
+  if (remaining === null || resetAfter === null) return;
+  rateBuckets.set(bucketKey(url), {
+    remaining: Number(remaining),
+    resetAtMs: Date.now() + Number(resetAfter) * 1000,
   });
-  log(name, "Platinum celebration post succeeded");
 }
 
-/* -------------------- Steam: game selection -------------------- */
+async function waitForBucket(name, url) {
+  const key = bucketKey(url);
+  const bucket = rateBuckets.get(key);
+  if (!bucket || bucket.remaining > 0) return;
+  const waitMs = bucket.resetAtMs - Date.now();
+  if (waitMs > MAX_RETRY_AFTER_MS) {
+    throw new DeliveryError(`Rate limit bucket for ${new URL(url).host} resets in ${Math.round(waitMs)}ms`);
+  }
+  if (waitMs > 0) {
+    log(name, `Rate limit bucket exhausted; waiting ${waitMs}ms for reset`);
+    await sleep(waitMs);
+  }
+  rateBuckets.delete(key);
+}
 
-async function resolveTargetGame({ name, steamId }) {
-  log(name, "Resolving current or last played game from Steam");
+function backoffMs(attempt) {
+  const base = Math.min(8000, 500 * 2 ** attempt);
+  return base / 2 + Math.random() * (base / 2);
+}
 
-  const summariesUrl =
-    `https://api.steampowered.com/ISteamUser/GetPlayerSummaries/v0002/` +
-    `?key=${encodeURIComponent(STEAM_API_KEY)}&steamids=${encodeURIComponent(steamId)}`;
+// Discord sends retry_after in seconds, Matrix retry_after_ms; Slack only the header.
+async function retryAfterMs(res) {
+  try {
+    const json = await res.clone().json();
+    if (Number.isFinite(Number(json?.retry_after))) return Number(json.retry_after) * 1000;
+    if (Number.isFinite(Number(json?.retry_after_ms))) return Number(json.retry_after_ms);
+  } catch {
+    // fall through to header
+  }
+  const header = Number(res.headers.get("retry-after"));
+  return Number.isFinite(header) ? header * 1000 : 1000;
+}
 
-  const summariesJson = await steamGet(name, summariesUrl);
-  const player = summariesJson?.response?.players?.[0];
+// Sends one rendered request ({ url, method, headers, body }) with retries for 429/5xx.
+async function sendRequest(name, request) {
+  const host = new URL(request.url).host;
 
-  if (player?.gameid) {
-    const gameTitle = player.gameextrainfo ?? `Steam App ${player.gameid}`;
-    log(name, `Is online and playing: ${gameTitle} (appid=${player.gameid})`);
-    return { appid: String(player.gameid), gameTitle, source: "currently_playing" };
-  }
+  for (let attempt = 0; ; attempt++) {
+    await waitForBucket(name, request.url);
 
-  log(name, "Not currently in-game. Checking recently played games.");
+    let res;
+    try {
+      res = await fetch(request.url, {
+        method: request.method ?? "POST",
+        headers: request.headers,
+        body: request.bodyEncoding === "base64" ? Buffer.from(request.body, "base64") : request.body,
+      });
+    } catch (e) {
+      if (attempt >= MAX_NOTIFY_RETRIES) {
+        throw new DeliveryError(`Network error posting to ${host}: ${e?.message ?? String(e)}`);
+      }
+      const waitMs = backoffMs(attempt);
+      telemetry.count(["delivery", "retries"]);
+      log(name, `Network error posting to ${host} (${e?.message ?? String(e)}); retrying in ${Math.round(waitMs)}ms`);
+      await sleep(waitMs);
+      continue;
+    }
 
-  const recentUrl =
-    `https://api.steampowered.com/IPlayerService/GetRecentlyPlayedGames/v0001/` +
-    `?key=${encodeURIComponent(STEAM_API_KEY)}&steamid=${encodeURIComponent(steamId)}&count=1`;
+    updateBucket(request.url, res);
+    if (res.ok) return;
 
-  const recentJson = await steamGet(name, recentUrl);
-  const game = recentJson?.response?.games?.[0];
+    const transient = res.status === 429 || res.status >= 500;
+    if (!transient || attempt >= MAX_NOTIFY_RETRIES) {
+      const body = await res.text();
+      log(name, `Post to ${host} failed: ${res.status} ${body}`);
+      throw new DeliveryError(`${host} returned ${res.status}: ${body}`, { status: res.status, transient });
+    }
 
-  if (game?.appid) {
-    const gameTitle = game.name ?? `Steam App ${game.appid}`;
-    log(name, `Is not online but their last played game was: ${gameTitle} (appid=${game.appid})`);
-    return { appid: String(game.appid), gameTitle, source: "recently_played" };
+    const waitMs = res.status === 429 ? await retryAfterMs(res) : backoffMs(attempt);
+    if (res.status === 429 && waitMs > MAX_RETRY_AFTER_MS) {
+      log(name, `${host} rate limited us for ${Math.round(waitMs)}ms; not waiting that long`);
+      throw new DeliveryError(`${host} rate limited us for ${Math.round(waitMs)}ms`, { status: res.status });
+    }
+    telemetry.count(["delivery", "retries"]);
+    log(name, `${host} returned ${res.status}; retrying in ${Math.round(waitMs)}ms (attempt ${attempt + 1}/${MAX_NOTIFY_RETRIES})`);
+    await sleep(waitMs);
   }
+}
 
-  log(name, "Is not online and has no recently played games.");
-  return null;
+/* -------------------- Outbox -------------------- */
+
+function outboxKey(...parts) {
+  return createHash("sha1").update(parts.join("|")).digest("hex");
+}
+
+async function enqueueOutbox(name, request, key, error) {
+  const nowSec = Math.floor(Date.now() / 1000);
+  const ttlDays = Number(OUTBOX_TTL_DAYS) || 14;
+
+  const queued = await store.put(OUTBOX_TABLE, {
+    PK: `outbox#${key}`,
+    name,
+    request: JSON.stringify(request),
+    attempts: 1,
+    lastError: error?.message ?? String(error),
+    createdAt: nowSec,
+    ttl: nowSec + ttlDays * 86400,
+  }, { ifNotExists: true });
+
+  log(name, queued
+    ? `Queued undelivered post in outbox (key=${key})`
+    : `Post already queued in outbox (key=${key})`);
 }
 
-/* -------------------- Rarity helpers -------------------- */
+/**
+ * Deliver a request, falling back to the outbox when the endpoint keeps failing.
+ * Resolves "sent" or "queued"; either way the caller may treat the post as handled.
+ * In a dry run the request is only printed.
+ * Throws only when the request could not be delivered *or* queued.
+ */
+async function deliverRequest(name, request, key) {
+  if (DRY) {
+    let body = request.bodyEncoding === "base64" ? `(${Buffer.byteLength(request.body, "base64")} byte multipart upload)` : request.body;
+    try {
+      body = JSON.stringify(JSON.parse(body), null, 2);
+    } catch {
+      // not JSON; print as-is
+    }
+    log(name, `[dry-run] Would ${request.method ?? "POST"} ${new URL(request.url).host}:\n${body}`);
+    return "sent";
+  }
 
-function rarityTier(pct) {
-  if (pct < 1) return "Legendary";
-  if (pct < 5) return "Epic";
-  if (pct < 20) return "Rare";
-  if (pct < 50) return "Uncommon";
-  return "Common";
+  try {
+    await sendRequest(name, request);
+    return "sent";
+  } catch (e) {
+    if (!OUTBOX_TABLE || !(e instanceof DeliveryError) || !e.transient) throw e;
+    await enqueueOutbox(name, request, key, e);
+    return "queued";
+  }
 }
 
-function formatRarityLine(pct) {
-  return `🏆 Rarity: ${rarityTier(pct)} (${pct.toFixed(2)}% of players)`;
+async function drainOutbox() {
+  if (!OUTBOX_TABLE) return { delivered: 0, remaining: 0 };
+
+  const items = await store.scan(OUTBOX_TABLE, { prefix: "outbox#" });
+  if (items.length === 0) return { delivered: 0, remaining: 0 };
+  log("system", `Draining ${items.length} queued post(s) from outbox`);
+
+  items.sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0));
+  let delivered = 0;
+
+  for (const item of items) {
+    const name = item.name ?? "system";
+    // An overlapping run drains the same items; only the one holding an item's claim sends it.
+    if (!(await claim(item.PK))) {
+      log(name, `Outbox item ${item.PK} is being delivered by another run; skipping`, { event: "claim.skipped" });
+      continue;
+    }
+    try {
+      // Items queued before notifiers existed carry a Discord webhook URL and payload.
+      const request = item.request
+        ? JSON.parse(item.request)
+        : discordRequest(item.webhookUrl, JSON.parse(item.payload));
+      await sendRequest(name, request);
+    } catch (e) {
+      log(name, `Outbox delivery failed again (${item.PK}): ${e?.message ?? String(e)}`);
+      const permanent = e instanceof DeliveryError && !e.transient;
+      if (permanent) {
+        log(name, `Dropping outbox item ${item.PK}: the endpoint rejected it permanently.`);
+        await store.delete(OUTBOX_TABLE, { PK: item.PK });
+      } else {
+        await store.put(OUTBOX_TABLE, { ...item, attempts: (item.attempts ?? 0) + 1, lastError: e?.message ?? String(e) });
+      }
+      await releaseClaims(name, [item.PK]);
+      continue;
+    }
+
+    await store.delete(OUTBOX_TABLE, { PK: item.PK });
+    delivered++;
+    log(name, `Outbox post delivered (${item.PK})`);
+  }
+
+  return { delivered, remaining: items.length - delivered };
 }
 
-function rarityColor(pct) {
-  if (pct < 1) return 0xF1C40F;
-  if (pct < 5) return 0xE67E22;
-  if (pct < 20) return 0x9B59B6;
-  if (pct < 50) return 0x3498DB;
-  return 0x2ECC71;
+/* -------------------- Claims -------------------- */
+
+// Claim rows live in the state table next to the rows they guard. Whoever writes one first
+// posts; a failed post releases it so a later run can try again.
+function claimPk(key) {
+  return `claim#${key}`;
 }
 
-/* -------------------- Lazy schema/rarity caches -------------------- */
+async function claim(key) {
+  const nowSec = Math.floor(Date.now() / 1000);
+  return store.put(
+    DDB_TABLE,
+    { PK: claimPk(key), claimedAt: nowSec, ttl: nowSec + (Number(CLAIM_TTL_SECONDS) || 3600) },
+    { ifNotExists: true }
+  );
+}
 
-const schemaCache = new Map(); // appid -> { schemaByApi, totalCount, schemaGameName }
-const rarityCache = new Map(); // appid -> Map(apiname -> percent) OR null
+async function releaseClaims(name, keys) {
+  for (const key of keys) {
+    try {
+      await store.delete(DDB_TABLE, { PK: claimPk(key) });
+    } catch (e) {
+      log(name, `Could not release claim ${key}: ${e?.message ?? String(e)}`);
+    }
+  }
+}
 
-async function getSchemaForApp({ name, appid }) {
-  if (schemaCache.has(appid)) return schemaCache.get(appid);
+function unlockClaimKey(pk, apiname) {
+  return `${pk}#ach#${apiname}`;
+}
 
-  const schemaUrl =
-    `https://api.steampowered.com/ISteamUserStats/GetSchemaForGame/v0002/` +
-    `?key=${encodeURIComponent(STEAM_API_KEY)}&appid=${encodeURIComponent(appid)}`;
+// The unlocks this run gets to announce; the rest are being announced by another run.
+async function claimUnlocks(name, pk, unlocks) {
+  const mine = [];
+  for (const a of unlocks) {
+    if (await claim(unlockClaimKey(pk, a.apiname))) mine.push(a);
+  }
+  if (mine.length < unlocks.length) {
+    log(name, `${unlocks.length - mine.length} unlock(s) already claimed by another run; leaving them to it`, { event: "claim.skipped" });
+  }
+  return mine;
+}
 
-  log(name, `Fetching game schema (appid=${appid})`);
-  const schemaJson = await steamGet(name, schemaUrl);
+/* -------------------- Notifying targets -------------------- */
+
+/**
+ * Render an event for each of the user's targets and deliver it. A target that fails is
+ * logged and skipped; only when every target fails does this throw (the first error).
+ */
+async function notify(name, targets, event) {
+  let handled = 0;
+  let firstError = null;
+
+  for (const [i, target] of targets.entries()) {
+    const label = describeTarget(target);
+    try {
+      const requests = renderNotification(target, event);
+      let queued = 0;
+      for (const [part, request] of requests.entries()) {
+        if (await deliverRequest(name, request, outboxKey(event.id, i, part)) === "queued") queued++;
+      }
+      const outcome = DRY ? "printed" : queued > 0 ? "queued" : "sent";
+      telemetry.count(["posts", outcome]);
+      telemetry.count(["posts", "byTarget", target.type, outcome]);
+      log(
+        name,
+        outcome === "queued" ? `Queued ${event.type} post to ${label} for next run` : `${DRY ? "Printed" : "Posted"} ${event.type} for ${label} (${requests.length} message(s))`,
+        { event: `post.${outcome}`, eventType: event.type, target: target.type, messages: requests.length }
+      );
+      handled++;
+    } catch (e) {
+      telemetry.count(["posts", "failed"]);
+      telemetry.count(["posts", "byTarget", target.type, "failed"]);
+      log(name, `Posting ${event.type} to ${label} failed: ${e?.message ?? String(e)}`, { event: "post.failed", eventType: event.type, target: target.type });
+      firstError ??= e;
+    }
+  }
 
-  const schemaGameName = schemaJson?.game?.gameName ?? null;
-  const schemaAch = schemaJson?.game?.availableGameStats?.achievements ?? [];
-  const totalCount = schemaAch.length;
-  const schemaByApi = new Map(schemaAch.map((a) => [a.name, a]));
+  if (handled === 0 && firstError) throw firstError;
+}
 
-  const cached = { schemaGameName, schemaByApi, totalCount };
-  schemaCache.set(appid, cached);
-  return cached;
+// notify() for one-off posts (milestone, platinum, ...), claimed by event id. Resolves false
+// when another run has the claim.
+async function notifyOnce(name, targets, event) {
+  if (!(await claim(event.id))) {
+    log(name, `${event.type} post already claimed by another run; skipping`, { event: "claim.skipped", eventType: event.type });
+    return false;
+  }
+  try {
+    await notify(name, targets, event);
+  } catch (e) {
+    await releaseClaims(name, [event.id]);
+    throw e;
+  }
+  return true;
 }
 
-async function getRarityForApp({ name, appid }) {
-  if (rarityCache.has(appid)) return rarityCache.get(appid);
+/* -------------------- Steam: game selection -------------------- */
+
+async function resolveRecentGames({ name, steamId, recentDays, maxGames }) {
+  log(name, `Resolving current and recently played games from Steam (last ${recentDays} day(s), max ${maxGames})`);
+
+  const games = [];
+  const seen = new Set();
+  const addGame = (game) => {
+    if (seen.has(game.appid) || games.length >= maxGames) return;
+    seen.add(game.appid);
+    games.push(game);
+  };
+
+  const summariesJson = await steam.getPlayerSummaries(name, steamId);
+  const player = summariesJson?.response?.players?.[0];
+
+  if (player?.gameid) {
+    const gameTitle = player.gameextrainfo ?? `Steam App ${player.gameid}`;
+    log(name, `Is online and playing: ${gameTitle} (appid=${player.gameid})`);
+    addGame({ appid: String(player.gameid), gameTitle, source: "currently_playing" });
+  }
+
+  // GetOwnedGames is a single call regardless of library size and, unlike
+  // GetRecentlyPlayedGames, carries rtime_last_played so we can honor recentDays.
+  const ownedJson = await steam.getOwnedGames(name, steamId);
+  const owned = ownedJson?.response?.games ?? [];
+
+  // A private profile, or private game details, looks like an empty library; an actually
+  // empty one still reports game_count. Visibility 3 is "public".
+  const privateProfile =
+    (player?.communityvisibilitystate !== undefined && Number(player.communityvisibilitystate) !== 3) ||
+    (ownedJson?.response !== undefined && Object.keys(ownedJson.response).length === 0);
+  const cutoff = Math.floor(Date.now() / 1000) - recentDays * 86400;
+
+  const recent = owned
+    .filter((g) => g?.appid && Number(g.rtime_last_played || 0) >= cutoff)
+    .sort((x, y) => Number(y.rtime_last_played) - Number(x.rtime_last_played));
+
+  for (const g of recent) {
+    addGame({
+      appid: String(g.appid),
+      gameTitle: g.name ?? `Steam App ${g.appid}`,
+      source: "recently_played",
+      lastPlayedSec: Number(g.rtime_last_played),
+    });
+  }
+
+  // Lifetime playtime: snapshotted on state rows, shown in posts and kept with platinums.
+  const playtime = new Map(owned.map((g) => [String(g.appid), Number(g.playtime_forever) || 0]));
+  for (const game of games) game.playtimeMinutes = playtime.get(game.appid) ?? null;
 
-  const url =
-    `https://api.steampowered.com/ISteamUserStats/GetGlobalAchievementPercentagesForApp/v0002/` +
-    `?gameid=${encodeURIComponent(appid)}`;
+  if (recent.length > games.length) {
+    log(name, `Played ${recent.length} game(s) recently; checking the ${games.length} most recent.`);
+  }
 
-  log(name, `Fetching global achievement percentages (rarity) (appid=${appid})`);
-  const json = await steamGet(name, url);
+  if (privateProfile) {
+    log(name, "Profile or game details are private; Steam only shows what's public.");
+  }
 
-  const arr = json?.achievementpercentages?.achievements ?? [];
-  if (!Array.isArray(arr) || arr.length === 0) {
-    log(name, `No rarity data returned for appid=${appid}`);
-    rarityCache.set(appid, null);
-    return null;
+  if (games.length === 0) {
+    log(name, "Is not online and has no recently played games.");
+  } else {
+    log(name, `Games to check: ${games.map((g) => `${g.gameTitle} (appid=${g.appid})`).join(", ")}`);
   }
 
-  const map = new Map(arr.map((x) => [x.name, Number(x.percent)]));
-  rarityCache.set(appid, map);
-  return map;
+  return { games, privateProfile };
 }
 
+/* -------------------- One-time notices -------------------- */
+
+// Tells a user about something only they can fix (privacy settings, games without stats).
+// A marker row in the state table keeps each notice to a single post.
+async function noticeOnce(ctx, kind, game = null) {
+  const pk = `notice#${ctx.steamId}#${kind}` + (game ? `#app#${game.appid}` : "");
+  try {
+    if (await store.get(DDB_TABLE, { PK: pk })) return;
+
+    log(ctx.name, `Posting one-time ${kind} notice`);
+    await notify(ctx.name, ctx.targets, {
+      type: "notice",
+      id: outboxKey(pk),
+      notice: kind,
+      user: { name: ctx.name },
+      game: game
+        ? { appid: game.appid, title: game.gameTitle, url: `https://steamcommunity.com/profiles/${ctx.steamId}/stats/${game.appid}/achievements/` }
+        : null,
+      profileUrl: `https://steamcommunity.com/profiles/${ctx.steamId}/`,
+      tz: ctx.tz,
+      locale: ctx.locale,
+      hiddenAchievements: ctx.hiddenAchievements,
+      cards: ctx.cards,
+    });
+
+    await store.put(DDB_TABLE, {
+      PK: pk,
+      kind,
+      name: ctx.name,
+      steamId: ctx.steamId,
+      ...(game ? { appid: game.appid } : {}),
+      notifiedAt: Math.floor(Date.now() / 1000),
+    });
+  } catch (e) {
+    log(ctx.name, `Posting the ${kind} notice failed: ${e?.message ?? String(e)}`);
+  }
+}
 
 function setsEqual(aSet, bArr) {
   if (!bArr) return false;
@@ -361,7 +1113,7 @@ function setsEqual(aSet, bArr) {
   return true;
 }
 
-function shouldWriteState({ exists, priorItem, gameTitle, totalAchievements, unlockedCount, lockedCount, progressText, announcedSet, platinumFlag }) {
+function shouldWriteState({ exists, priorItem, gameTitle, totalAchievements, unlockedCount, lockedCount, progressText, announcedSet, platinumFlag, milestoneSet, deferredSet, nowSec }) {
   // Always write on first sight so the record exists.
   if (!exists || !priorItem) return true;
 
@@ -379,110 +1131,395 @@ function shouldWriteState({ exists, priorItem, gameTitle, totalAchievements, unl
   // Platinum flag changed?
   if (Boolean(priorItem.platinumAnnounced) !== Boolean(platinumFlag)) return true;
 
+  // Milestones changed?
+  if (!setsEqual(milestoneSet, priorItem.milestonesAnnounced)) return true;
+
+  // Quiet-hour unlocks held or released?
+  if (!setsEqual(deferredSet, priorItem.deferredApiNames ?? [])) return true;
+
+  // Advance the last-scan checkpoint periodically so catch-up never reaches back too far.
+  if (nowSec - Number(priorItem.lastScanAt || 0) >= SCAN_CHECKPOINT) return true;
+
   // No meaningful changes.
   return false;
 }
 
-/* -------------------- main per-user processing -------------------- */
-
-async function processOneUser(user) {
-  const name = user.name;
-  const steamId = String(user.steamId).trim();
-  const webhookUrl = user.webhookUrl || DISCORD_WEBHOOK_URL;
-  const tz = user.timezone || TIMEZONE;
-  const windowSeconds = Number(user.windowSeconds || DEFAULT_WINDOW) || DEFAULT_WINDOW;
+/* -------------------- Unlock events -------------------- */
 
-  log(name, "User processing started");
+function describeUnlock(a, schemaByApi, rarityMap, t) {
+  const meta = schemaByApi?.get(a.apiname);
 
-  const target = await resolveTargetGame({ name, steamId });
-  if (!target) {
-    log(name, "No current or recently played game found. Exiting user.");
-    return { ok: true, name, posted: 0, reason: "no_current_or_recent_game" };
+  let rarityPct = null;
+  if (rarityMap && rarityMap.has(a.apiname)) {
+    const v = rarityMap.get(a.apiname);
+    if (Number.isFinite(v)) rarityPct = v;
   }
 
-  const { appid, gameTitle: resolvedGameTitle, source } = target;
-  log(name, `Selected game: ${resolvedGameTitle} (appid=${appid}, source=${source})`);
+  return {
+    apiname: a.apiname,
+    unlocktime: a.unlocktime,
+    // The schema blanks hidden descriptions; the player's own achievement list doesn't.
+    achievementName: meta?.displayName || a.name || a.apiname,
+    achievementDesc: meta?.description || a.description || t("achievement.hidden"),
+    iconUrl: meta?.icon ?? null,
+    hidden: Number(meta?.hidden) === 1,
+    rarityPct,
+  };
+}
 
-  const achievementsUrl = `https://steamcommunity.com/profiles/${steamId}/stats/${appid}/achievements/`;
+// Cards show the achievement icon, which has to be fetched before the renderers run. An icon
+// that can't be had leaves that card with the drawn medal.
+async function withCardIcons(name, targets, event) {
+  const carded = new Set(targets.flatMap((target) => cardUnlocks(target, event)));
+  if (carded.size === 0) return event;
+
+  const unlocks = [];
+  for (const u of event.unlocks) {
+    if (!carded.has(u) || !u.iconUrl) {
+      unlocks.push(u);
+      continue;
+    }
+    try {
+      unlocks.push({ ...u, icon: await loadCardIcon(u.iconUrl) });
+    } catch (e) {
+      log(name, `Could not load the icon for ${u.apiname}'s card: ${e?.message ?? String(e)}`);
+      unlocks.push(u);
+    }
+  }
+  return { ...event, unlocks };
+}
 
-  // 1) Fetch player achievements FIRST (cheap-ish, and lets us decide whether we need schema/rarity)
-  const playerUrl =
-    `https://api.steampowered.com/ISteamUserStats/GetPlayerAchievements/v0001/` +
-    `?appid=${encodeURIComponent(appid)}&key=${encodeURIComponent(STEAM_API_KEY)}&steamid=${encodeURIComponent(steamId)}`;
+// Batched mode never puts more than this many unlocks in one event, so a failed post
+// only leaves its own unlocks unannounced.
+const MAX_UNLOCKS_PER_EVENT = 10;
+
+/**
+ * Group one game's unlocks into "unlocks" events according to the user's post mode.
+ * Each event carries the unlocks it announces so they're only marked once it's delivered.
+ */
+function planUnlockEvents({ name, base, unlocks, pk, postMode, burstThreshold, recentCutoff, held }) {
+  const events = [];
+  const summary = (list, kind, reason) => ({
+    ...base,
+    type: "unlocks",
+    id: outboxKey(pk, kind, ...list.map((u) => u.apiname)),
+    layout: "summary",
+    reason,
+    unlocks: list,
+  });
+  const listed = (list) => ({
+    ...base,
+    type: "unlocks",
+    id: list.length === 1 ? outboxKey(pk, "ach", list[0].apiname) : outboxKey(pk, "batch", ...list.map((u) => u.apiname)),
+    layout: "list",
+    unlocks: list,
+  });
 
-  log(name, `Fetching player achievements (steamid=${steamId}, appid=${appid})`);
-  const playerJson = await steamGet(name, playerUrl);
-  const playerAch = playerJson?.playerstats?.achievements ?? [];
+  // Unlocks held back by quiet hours go out together as the digest.
+  let live = unlocks;
+  const digest = unlocks.filter((u) => held.has(u.apiname));
+  if (digest.length > 0) {
+    log(name, `Posting ${digest.length} unlock(s) held during quiet hours`);
+    events.push(digest.length > 1 ? summary(digest, "digest", "digest") : listed(digest));
+    live = unlocks.filter((u) => !held.has(u.apiname));
+  }
 
-  const unlocked = playerAch
-    .filter((a) => Number(a.achieved) === 1)
-    .map((a) => ({ apiname: a.apiname, unlocktime: a.unlocktime || 0 }))
-    .sort((a, b) => b.unlocktime - a.unlocktime);
+  // Unlocks older than the normal window were missed by earlier runs. A handful are
+  // posted like any other; a large backlog is collapsed into one summary.
+  const backlog = live.filter((u) => u.unlocktime < recentCutoff);
+  if (backlog.length > CATCHUP_POST_CAP) {
+    log(name, `Catch-up backlog of ${backlog.length} exceeds cap ${CATCHUP_POST_CAP}; posting a summary.`);
+    events.push(summary(backlog, "summary", "catchup"));
+    live = live.filter((u) => u.unlocktime >= recentCutoff);
+  }
 
-  const lockedApiNames = playerAch.filter((a) => Number(a.achieved) === 0).map((a) => a.apiname);
-  const unlockedApiNames = unlocked.map((a) => a.apiname);
+  if (live.length === 0) return events;
 
-  // 2) Compute recent unlocks first; if none, skip DynamoDB entirely (no GetItem / no PutItem)
-  const pk = `steam#${steamId}#app#${appid}`;
-  const nowSec = Math.floor(Date.now() / 1000);
-  const cutoff = nowSec - windowSeconds;
+  const burst = (postMode === "summary" && live.length > 1) || (postMode === "batched" && live.length > burstThreshold);
+  if (burst) {
+    log(name, `Posting ${live.length} unlock(s) as a burst summary (postMode=${postMode})`);
+    events.push(summary(live, "burst", "burst"));
+    return events;
+  }
 
-  const unlockedRecent = unlocked.filter((a) => a.unlocktime > 0 && a.unlocktime >= cutoff);
-  log(name, `Recent window: last ${windowSeconds}s. recentUnlocked=${unlockedRecent.length}`);
+  const size = postMode === "individual" ? 1 : MAX_UNLOCKS_PER_EVENT;
+  for (let i = 0; i < live.length; i += size) {
+    events.push(listed(live.slice(i, i + size)));
+  }
+  return events;
+}
 
-  // We can still compute progress for logs/return without touching DynamoDB.
-  const unlockedCount = unlockedApiNames.length;
-  const lockedCount = lockedApiNames.length;
-  const totalFallback = unlockedCount + lockedCount;
-  let pctComplete = percent(unlockedCount, totalFallback);
-  let progressText = `${unlockedCount}/${totalFallback} (${pctComplete}%)`;
-  log(name, `Progress: ${progressText}`);
+/* -------------------- Milestones -------------------- */
 
-  if (unlockedRecent.length === 0) {
-    log(name, "No recent unlocks; skipping DynamoDB GetItem/PutItem.");
-    log(name, "User processing complete");
-    return { ok: true, name, posted: 0, appid, gameTitle: resolvedGameTitle, progressText, platinum: false };
+// Milestone ids: "first" (first unlock), "<n>" (crossed n% complete), "one_away" (one locked left).
+function milestonesReached({ unlockedCount, totalAchievements, thresholds }) {
+  const reached = [];
+  if (unlockedCount >= 1) reached.push("first");
+  const pct = percent(unlockedCount, totalAchievements);
+  for (const t of thresholds) {
+    if (pct >= t) reached.push(String(t));
   }
+  if (totalAchievements > 1 && totalAchievements - unlockedCount === 1) reached.push("one_away");
+  return reached;
+}
 
-  // Only now hit DynamoDB since there are recent unlocks
-  const { exists, announcedApiNames, platinumAnnounced, priorItem } = await getState(name, pk);
-  let announcedSet = new Set(announcedApiNames);
-  let platinumFlag = platinumAnnounced;
+// When several milestones land in one run, only the most notable one is posted.
+function headlineMilestone(due) {
+  if (due.includes("one_away")) return "one_away";
+  const pcts = due.filter((m) => /^\d+$/.test(m)).map(Number);
+  if (pcts.length > 0) return String(Math.max(...pcts));
+  return due.includes("first") ? "first" : null;
+}
 
-  if (!exists) {
-    log(name, "First time seeing this game. Bootstrapping 'seen' achievements.");
-    announcedSet = new Set(unlockedApiNames);
-  }
+/* -------------------- Rivalries -------------------- */
+
+// Other tracked users' progress in the same game, read from their state rows.
+async function loadRivalStates(name, appid, rivals) {
+  const rows = await Promise.all(rivals.map(async (r) => {
+    try {
+      const { priorItem } = await loadStateItem(`steam#${r.steamId}#app#${appid}`);
+      if (!priorItem) return null;
+      return {
+        name: r.name,
+        pct: percent(Number(priorItem.unlockedCount ?? 0), Number(priorItem.totalAchievements ?? 0)),
+        // Rows truncated by the old size guardrail have no list; they can't be counted per achievement.
+        unlocked: Array.isArray(priorItem.unlockedApiNames) ? new Set(priorItem.unlockedApiNames) : null,
+      };
+    } catch (e) {
+      log(name, `Could not load ${r.name}'s state for appid=${appid}: ${e?.message ?? String(e)}`);
+      return null;
+    }
+  }));
 
-  const toPost = exists
-    ? unlockedRecent.filter((a) => !announcedSet.has(a.apiname))
-    : unlockedRecent;
+  const found = rows.filter(Boolean);
+  if (found.length > 0) log(name, `Rivals with state for appid=${appid}: ${found.map((r) => `${r.name} (${r.pct}%)`).join(", ")}`);
+  return found;
+}
 
-  // 3) Lazy-fetch schema/rarity ONLY if posting
+function groupStanding(apiname, rivalStates) {
+  const counted = rivalStates.filter((r) => r.unlocked);
+  if (counted.length === 0) return null;
+  const others = counted.filter((r) => r.unlocked.has(apiname)).length;
+  return { have: others + 1, of: counted.length + 1, first: others === 0 };
+}
+
+/* -------------------- main per-user processing -------------------- */
+
+// A user's settings with defaults applied. allUsers: every tracked user (resolved), for rivalries.
+function userContext(user, allUsers = []) {
+  const steamId = String(user.steamId).trim();
+  return {
+    name: user.name,
+    steamId,
+    targets: user.targets ?? [{ type: "discord", url: user.webhookUrl || DISCORD_WEBHOOK_URL }],
+    tz: user.timezone || TIMEZONE,
+    locale: user.locale || LOCALE,
+    hiddenAchievements: user.hiddenAchievements || HIDDEN_ACHIEVEMENTS,
+    cards: user.cards ?? DEFAULT_CARDS,
+    windowSeconds: Number(user.windowSeconds || DEFAULT_WINDOW) || DEFAULT_WINDOW,
+    postMode: user.postMode || POST_MODE,
+    burstThreshold: Math.max(1, Number(user.burstThreshold || DEFAULT_BURST_THRESHOLD) || DEFAULT_BURST_THRESHOLD),
+    milestones: user.milestones !== undefined ? parseMilestones(user.milestones) : DEFAULT_MILESTONES,
+    quietHours: user.quietHours !== undefined ? parseQuietHours(user.quietHours) : null,
+    mention: parseMention(user),
+    minRarity: user.minRarity || RARITY_TIERS[0],
+    rivals: allUsers
+      .filter((u) => !u.resolveError && String(u.steamId).trim() !== steamId)
+      .map((u) => ({ name: u.name, steamId: String(u.steamId).trim() })),
+  };
+}
+
+async function processOneUser(user, allUsers) {
+  const name = user.name;
+  const steamId = String(user.steamId).trim();
+  const recentDays = Number(user.recentDays || DEFAULT_RECENT_DAYS) || DEFAULT_RECENT_DAYS;
+  const maxGames = Math.max(1, Number(user.maxGames || DEFAULT_MAX_GAMES) || DEFAULT_MAX_GAMES);
+  const ctx = userContext(user, allUsers);
+
+  const startedAt = Date.now();
+  log(name, "User processing started", { event: "user.start" });
+
+  if (user.resolveError) {
+    telemetry.recordUser(name, { ok: false, error: user.resolveError, durationMs: 0 });
+    return { ok: false, name, posted: 0, games: [], error: user.resolveError };
+  }
+
+  const { games: targets, privateProfile } = await resolveRecentGames({ name, steamId, recentDays, maxGames });
+  if (privateProfile) await noticeOnce(ctx, "private_profile");
+
+  if (targets.length === 0) {
+    log(name, "No current or recently played game found. Exiting user.");
+    telemetry.recordUser(name, { ok: true, posted: 0, games: 0, durationMs: Date.now() - startedAt });
+    return { ok: true, name, posted: 0, games: [], reason: privateProfile ? "private_profile" : "no_current_or_recent_game" };
+  }
+
+  // Games run one after another so Steam calls per user stay bounded by maxGames.
+  const games = [];
+  for (const target of targets) {
+    try {
+      games.push(await telemetry.withScope({ appid: target.appid }, () => processOneGame(ctx, target)));
+    } catch (e) {
+      // Not the bot's fault: tell the user once and move on.
+      const kind = steamErrorKind(e);
+      if (kind) {
+        log(name, kind === "no_stats"
+          ? `${target.gameTitle} has no achievement stats on Steam (appid=${target.appid}); skipping`
+          : `Steam says the profile or game details are private (appid=${target.appid}); skipping`);
+        await noticeOnce(ctx, kind, kind === "no_stats" ? target : null);
+        games.push({ ok: true, appid: target.appid, gameTitle: target.gameTitle, posted: 0, reason: kind });
+        continue;
+      }
+      log(name, `Game processing failed (appid=${target.appid}): ${e?.message ?? String(e)}`);
+      games.push({ ok: false, appid: target.appid, gameTitle: target.gameTitle, posted: 0, error: e?.message ?? String(e) });
+    }
+  }
+
+  const posted = games.reduce((sum, g) => sum + (g.posted || 0), 0);
+  const ok = games.every((g) => g.ok);
+  const durationMs = Date.now() - startedAt;
+  telemetry.recordUser(name, { ok, posted, games: games.length, durationMs });
+  log(name, "User processing complete", { event: "user.done", ok, posted, durationMs });
+  return {
+    ok,
+    name,
+    posted,
+    platinum: games.some((g) => g.platinum),
+    games,
+  };
+}
+
+async function processOneGame({ name, steamId, targets, tz, locale, hiddenAchievements, cards, windowSeconds, postMode, burstThreshold, milestones, quietHours, mention, minRarity, rivals }, target) {
+  const { appid, gameTitle: resolvedGameTitle, source, playtimeMinutes } = target;
+  log(name, `Checking game: ${resolvedGameTitle} (appid=${appid}, source=${source})`);
+
+  const achievementsUrl = `https://steamcommunity.com/profiles/${steamId}/stats/${appid}/achievements/`;
+  const t = createTranslator(locale);
+
+  // 1) Fetch player achievements FIRST (cheap-ish, and lets us decide whether we need schema/rarity)
+  log(name, `Fetching player achievements (steamid=${steamId}, appid=${appid})`);
+  const playerJson = await steam.getPlayerAchievements(name, steamId, appid, steamLanguage(locale));
+  const playerAch = playerJson?.playerstats?.achievements ?? [];
+
+  const unlocked = playerAch
+    .filter((a) => Number(a.achieved) === 1)
+    .map((a) => ({ apiname: a.apiname, unlocktime: a.unlocktime || 0, name: a.name, description: a.description }))
+    .sort((a, b) => b.unlocktime - a.unlocktime);
+
+  const lockedApiNames = playerAch.filter((a) => Number(a.achieved) === 0).map((a) => a.apiname);
+  const unlockedApiNames = unlocked.map((a) => a.apiname);
+
+  // 2) Compute candidate unlocks first; if none, only the main row is read to catch count changes
+  const pk = `steam#${steamId}#app#${appid}`;
+  const nowSec = Math.floor(Date.now() / 1000);
+  const recentCutoff = nowSec - windowSeconds;
+  const horizon = nowSec - CATCHUP_HORIZON;
+
+  const candidates = unlocked.filter((a) => a.unlocktime > 0 && a.unlocktime >= horizon);
+  log(name, `Catch-up horizon: last ${CATCHUP_HORIZON}s. candidateUnlocked=${candidates.length}`);
+
+  // We can still compute progress for logs/return without touching the state store.
+  const unlockedCount = unlockedApiNames.length;
+  const lockedCount = lockedApiNames.length;
+  const totalFallback = unlockedCount + lockedCount;
+  let pctComplete = percent(unlockedCount, totalFallback);
+  let progressText = `${unlockedCount}/${totalFallback} (${pctComplete}%)`;
+  log(name, `Progress: ${progressText}`);
+
+  if (candidates.length === 0) {
+    // Nothing new, but an update can still change the count (a finished game gets DLC), and
+    // held unlocks wait for their digest; the main row alone says whether either applies.
+    const row = await store.get(DDB_TABLE, { PK: pk });
+    const storedTotal = Number(row?.totalAchievements) || 0;
+    const countChanged = storedTotal > 0 && storedTotal !== totalFallback;
+    if (!countChanged && !(row?.deferredApiNames?.length > 0)) {
+      log(name, "No unlocks within the catch-up horizon and no count change; skipping state PutItem.");
+      return { ok: true, posted: 0, appid, gameTitle: resolvedGameTitle, progressText, platinum: false };
+    }
+    log(name, countChanged ? `Achievement count ${storedTotal} -> ${totalFallback} with no recent unlocks` : "Held unlocks are waiting for the digest");
+  }
+
+  // Only now hit the state store since there are candidate unlocks (or a count change)
+  const { exists, announcedApiNames, platinumAnnounced, announcedDropped, priorItem, priorChunks } = await getState(name, pk);
+  let announcedSet = new Set(announcedApiNames);
+  let platinumFlag = platinumAnnounced;
+  // Earliest unlock in the game; the start of a time-to-platinum. New rows, and rows from
+  // before it was tracked, take the player's earliest unlock from Steam.
+  let firstUnlockAt = Number(priorItem?.firstUnlockAt) || unlocked.filter((a) => a.unlocktime > 0).at(-1)?.unlocktime || null;
+
+  // Announce everything since the last successful scan (less one window of slack for
+  // Steam's unlocktime skew). Rows written before lastScanAt existed fall back to the window.
+  const lastScanAt = Number(priorItem?.lastScanAt) || null;
+  const cutoff = exists && lastScanAt
+    ? Math.max(horizon, Math.min(recentCutoff, lastScanAt - windowSeconds))
+    : recentCutoff;
+
+  const unlockedSinceScan = candidates.filter((a) => a.unlocktime >= cutoff);
+  log(name, `Scan cutoff: ${cutoff} (lastScanAt=${lastScanAt ?? "none"}). unlockedSinceScan=${unlockedSinceScan.length}`);
+
+  const bootstrap = !exists || announcedDropped;
+  const unannounced = bootstrap
+    ? unlockedSinceScan
+    : unlockedSinceScan.filter((a) => !announcedSet.has(a.apiname));
+
+  if (bootstrap) {
+    // Everything except what we're about to post counts as seen; posted ones are added as they go out.
+    log(name, exists ? "Announced list was lost. Re-bootstrapping 'seen' achievements." : "First time seeing this game. Bootstrapping 'seen' achievements.");
+    const pending = new Set(unannounced.map((a) => a.apiname));
+    announcedSet = new Set(unlockedApiNames.filter((api) => !pending.has(api)));
+  }
+
+  // Unlocks seen during quiet hours stay unannounced on the row until the digest goes out.
+  const held = new Set(bootstrap ? [] : priorItem?.deferredApiNames ?? []);
+  const fresh = new Set(unannounced.map((a) => a.apiname));
+  const due = [
+    ...unlocked.filter((a) => held.has(a.apiname) && !announcedSet.has(a.apiname) && !fresh.has(a.apiname)),
+    ...unannounced,
+  ];
+  const quiet = due.length > 0 && inQuietHours(quietHours, tz, nowSec);
+  if (quiet) {
+    log(name, `Quiet hours; holding ${due.length} unlock(s) for the digest`);
+    for (const a of due) held.add(a.apiname);
+  }
+
+  // Overlapping runs see the same unlocks; only the one holding an unlock's claim posts it.
+  const toPost = due.length > 0 && !quiet ? await claimUnlocks(name, pk, due) : [];
+
+  // 3) Lazy-fetch schema/rarity ONLY if posting
   let schemaByApi = null;
   let totalCount = null;
   let rarityMap = null;
+  let rivalStates = [];
 
   // Game title: prefer presence name; schema name only used if needed
   let gameTitle = resolvedGameTitle;
 
-  if (toPost.length > 0) {
-    const schema = await getSchemaForApp({ name, appid });
-    schemaByApi = schema.schemaByApi;
-    totalCount = schema.totalCount;
+  try {
+    if (toPost.length > 0) {
+      const schema = await steam.getSchema(name, appid, steamLanguage(locale));
+      schemaByApi = schema.schemaByApi;
+      totalCount = schema.totalCount;
+
+      // Only fetch rarity if posting (optional)
+      rarityMap = await steam.getRarity(name, appid);
 
-    // Only fetch rarity if posting (optional)
-    rarityMap = await getRarityForApp({ name, appid });
+      // Other tracked users in this game, for "first in the group" and "passed X"
+      if (rivals.length > 0) rivalStates = await loadRivalStates(name, appid, rivals);
 
-    // If schema returns a better title and presence title is missing, use it.
-    if (!gameTitle) gameTitle = schema.schemaGameName || gameTitle;
-    if (schema.schemaGameName && schema.schemaGameName.startsWith("ValveTestApp")) {
-      log(name, `Schema placeholder "${schema.schemaGameName}", keeping resolved title "${resolvedGameTitle}"`);
+      // If schema returns a better title and presence title is missing, use it.
+      if (!gameTitle) gameTitle = schema.schemaGameName || gameTitle;
+      if (schema.schemaGameName && schema.schemaGameName.startsWith("ValveTestApp")) {
+        log(name, `Schema placeholder "${schema.schemaGameName}", keeping resolved title "${resolvedGameTitle}"`);
+      }
     }
+  } catch (e) {
+    // Nothing went out; a later run claims these again.
+    await releaseClaims(name, toPost.map((a) => unlockClaimKey(pk, a.apiname)));
+    throw e;
   }
 
   // 4) Determine totals. Prefer schema totalCount if we fetched it; otherwise fall back to unlocked+locked.
-  const totalAchievements = (typeof totalCount === "number" ? totalCount : totalFallback);
+  // A cached schema can lag behind an update that added achievements; the player's own list doesn't.
+  const totalAchievements = (typeof totalCount === "number" ? Math.max(totalCount, totalFallback) : totalFallback);
 
   // Recompute percent based on the chosen total
   const pctCompleteFinal = percent(unlockedCount, totalAchievements);
@@ -496,69 +1533,213 @@ async function processOneUser(user) {
 
   const isPlatinum = totalAchievements > 0 && unlockedCount === totalAchievements;
 
-  // 5) Post embeds if needed
-  if (toPost.length === 0) {
-    log(name, "No new recent achievements to post.");
-  } else {
-    log(name, `Found ${toPost.length} new recent achievement(s) to post`);
-
-    for (const a of toPost) {
-      const meta = schemaByApi?.get(a.apiname);
-      const achievementName = meta?.displayName ?? a.apiname;
-      const achievementDesc = meta?.description ?? "Hidden Achievement";
-      const iconUrl = meta?.icon ?? null;
-
-      let rarityPct = null;
-      if (rarityMap && rarityMap.has(a.apiname)) {
-        const v = rarityMap.get(a.apiname);
-        if (Number.isFinite(v)) rarityPct = v;
-      }
+  // Achievements added or removed since the state row was written (DLC, patches).
+  const priorTotal = exists ? Number(priorItem?.totalAchievements) || 0 : 0;
+  const countChange = priorTotal > 0 && priorTotal !== totalAchievements ? { from: priorTotal, to: totalAchievements } : null;
+  const platinumLost = !!countChange && platinumFlag && !isPlatinum;
+  let platinumVersion = Number(priorItem?.platinumVersion) || (platinumFlag ? 1 : 0);
+
+  if (countChange) {
+    log(name, `Achievement count changed: ${countChange.from} -> ${countChange.to}${platinumLost ? " (platinum lost)" : ""}`);
+    // Re-earnable: the next completion is celebrated and recorded as a new version.
+    if (platinumLost) platinumFlag = false;
+  }
+
+  // Milestones already behind the player don't get posted: rows without a record yet are
+  // seeded from the progress they had before this run's unlocks.
+  const milestoneSet = new Set(
+    priorItem?.milestonesAnnounced ??
+      milestonesReached({
+        unlockedCount: bootstrap ? unlockedCount - due.length : Number(priorItem.unlockedCount ?? 0),
+        totalAchievements: bootstrap ? totalAchievements : Number(priorItem.totalAchievements ?? totalAchievements),
+        thresholds: milestones,
+      })
+  );
+  const reachedMilestones = milestonesReached({ unlockedCount, totalAchievements, thresholds: milestones });
+  // After a count change, milestones the player has fallen back below can be earned again.
+  if (countChange) {
+    for (const m of milestoneSet) if (!reachedMilestones.includes(m)) milestoneSet.delete(m);
+  }
+  const dueMilestones = reachedMilestones.filter((m) => !milestoneSet.has(m));
+
+  // Shared by every event this game produces.
+  const base = {
+    user: { name },
+    game: { appid, title: gameTitle, url: achievementsUrl },
+    progress: { unlockedCount, totalAchievements, pctComplete },
+    playtimeMinutes,
+    tz,
+    locale,
+    hiddenAchievements,
+    cards,
+  };
 
-      const embedColor = rarityPct === null ? 0xE74C3C : rarityColor(rarityPct);
+  // 5) Post unlocks if needed. If delivery fails outright (no outbox to fall back on), stop
+  // posting but still persist what was announced so the next run doesn't post it twice.
+  let deliveryError = null;
+  try {
+    if (countChange) {
+      await notifyOnce(name, targets, {
+        ...base,
+        type: "count_changed",
+        id: outboxKey(pk, "count", countChange.from, countChange.to),
+        previousTotal: countChange.from,
+        platinumLost,
+      });
+    }
 
-      const fields = [
-        { name: "Achievement", value: achievementName, inline: false },
-        { name: "Achievement Description:", value: achievementDesc, inline: false },
-        { name: "Unlocked On:", value: formatLocalDateFromUnix(a.unlocktime, tz), inline: false },
-        { name: `Total ${gameTitle} Progress:`, value: `${unlockedCount}/${totalAchievements} — ${pctComplete}%`, inline: false },
-      ];
+    if (toPost.length === 0) {
+      log(name, "No new achievements to post.");
+    } else {
+      log(name, `Found ${toPost.length} new achievement(s) to post`);
+
+      const unlocks = toPost.map((a) => ({
+        ...describeUnlock(a, schemaByApi, rarityMap, t),
+        group: groupStanding(a.apiname, rivalStates),
+      }));
+
+      const announce = async (u) => {
+        await recordAchievementEvent({
+          name,
+          steamId,
+          appid,
+          gameTitle,
+          achievementApiName: u.apiname,
+          achievementDisplayName: u.achievementName,
+          hidden: u.hidden,
+          rarityPercent: u.rarityPct,
+          unlockedAtSec: u.unlocktime,
+        });
+        await recordYearUnlock({
+          name,
+          steamId,
+          appid,
+          gameTitle,
+          achievementApiName: u.apiname,
+          achievementDisplayName: u.achievementName,
+          hidden: u.hidden,
+          rarityPercent: u.rarityPct,
+          unlockedAtSec: u.unlocktime,
+        });
+        announcedSet.add(u.apiname);
+        if (u.unlocktime > 0) firstUnlockAt = Math.min(firstUnlockAt ?? u.unlocktime, u.unlocktime);
+      };
 
-      if (rarityPct !== null) {
-        fields.push({ name: "Rarity", value: formatRarityLine(rarityPct), inline: false });
+      // Below the user's minimum rarity: recorded and counted, just not posted.
+      const shown = unlocks.filter((u) => meetsMinRarity(u.rarityPct, minRarity));
+      if (shown.length < unlocks.length) {
+        log(name, `${unlocks.length - shown.length} unlock(s) below minRarity=${minRarity}; not posting them`);
+        for (const u of unlocks) if (!shown.includes(u)) await announce(u);
       }
 
-      const embed = {
-        color: embedColor,
-        title: `${name} unlocked a new achievement in ${gameTitle}, they are now ${pctComplete}% complete.`,
-        url: achievementsUrl,
-        ...(iconUrl ? { thumbnail: { url: iconUrl } } : {}),
-        fields,
-      };
+      const events = planUnlockEvents({ name, base, unlocks: shown, pk, postMode, burstThreshold, recentCutoff, held });
 
-      await postDiscordEmbed(name, webhookUrl, embed);
+      for (const event of events) {
+        await notify(name, targets, await withCardIcons(name, targets, event));
+        for (const u of event.unlocks) await announce(u);
+      }
+    }
 
-      await recordAchievementEvent({
-        name,
-        steamId,
-        appid,
-        gameTitle,
-        achievementApiName: a.apiname,
-        achievementDisplayName: achievementName,
-        rarityPercent: rarityPct,
-        unlockedAtSec: a.unlocktime,
-      });
+    // 6) Milestones crossed by this run's unlocks (each fires once per game)
+    if (toPost.length > 0 && dueMilestones.length > 0) {
+      const headline = isPlatinum ? null : headlineMilestone(dueMilestones);
+      if (headline) {
+        const lastRemainingApi = headline === "one_away" ? lockedApiNames[0] : null;
+        log(name, `Posting milestone "${headline}" (due: ${dueMilestones.join(", ")})`);
+        const posted = await notifyOnce(name, targets, {
+          ...base,
+          type: "milestone",
+          id: outboxKey(pk, "milestone", headline),
+          milestone: headline,
+          lastRemaining: lastRemainingApi ? describeUnlock({ ...playerAch.find((a) => a.apiname === lastRemainingApi), unlocktime: 0 }, schemaByApi, rarityMap, t) : null,
+        });
+        if (posted) for (const m of dueMilestones) milestoneSet.add(m);
+      } else {
+        log(name, `Milestones reached alongside platinum; recording without posting: ${dueMilestones.join(", ")}`);
+        for (const m of dueMilestones) milestoneSet.add(m);
+      }
+    }
 
-      announcedSet.add(a.apiname);
+    // 7) Passing a friend's completion in this game
+    if (toPost.length > 0 && rivalStates.length > 0) {
+      // Held unlocks were already counted on the row by the quiet-hours run.
+      const priorUnlocked = bootstrap ? unlockedCount - due.length : Math.min(Number(priorItem.unlockedCount ?? 0), unlockedCount - due.length);
+      const priorPct = percent(priorUnlocked, totalAchievements);
+      const passed = rivalStates.filter((r) => priorPct <= r.pct && pctComplete > r.pct);
+      if (passed.length > 0) {
+        log(name, `Passed ${passed.map((r) => r.name).join(", ")} (${priorPct}% -> ${pctComplete}%)`);
+        await notifyOnce(name, targets, {
+          ...base,
+          type: "passed",
+          id: outboxKey(pk, "passed", pctComplete, ...passed.map((r) => r.name)),
+          passed: passed.map((r) => ({ name: r.name, pct: r.pct })),
+        });
+      }
     }
-  }
 
-  // 6) Platinum celebration (only once, only if we posted something this run)
-  if (toPost.length > 0 && isPlatinum && !platinumFlag) {
-    await postPlatinumCongrats(name, webhookUrl, gameTitle);
-    platinumFlag = true;
+    // 8) Platinum celebration (once per completion, only if something changed this run)
+    if ((toPost.length > 0 || countChange) && isPlatinum && !platinumFlag) {
+      const version = platinumVersion + 1;
+      // Removing achievements can complete a game without a new unlock.
+      const completedAtSec = toPost.length > 0 ? (unlocked[0]?.unlocktime || nowSec) : nowSec;
+      const posted = await notifyOnce(name, targets, {
+        ...base,
+        type: "platinum",
+        id: version > 1 ? outboxKey(pk, "platinum", version) : outboxKey(pk, "platinum"),
+        version,
+        mention,
+        days: daysToPlatinum(firstUnlockAt, completedAtSec),
+        imageUrl: PLATINUM_IMAGE_URL || null,
+      });
+      // Otherwise another run is celebrating it and records the completion.
+      if (posted) {
+        platinumFlag = true;
+        platinumVersion = version;
+
+        await recordPlatinumEvent({
+          name,
+          steamId,
+          appid,
+          gameTitle,
+          totalAchievements,
+          completedAtSec,
+          version,
+        });
+        await recordTrophy({
+          name,
+          steamId,
+          appid,
+          gameTitle,
+          totalAchievements,
+          completedAtSec,
+          rarest: rarestUnlocked(unlockedApiNames, schemaByApi, rarityMap),
+          playtimeMinutes,
+          firstUnlockAtSec: firstUnlockAt,
+          version,
+        });
+      }
+    }
+  } catch (e) {
+    deliveryError = e;
+    log(name, `Delivery failed; saving announced progress before aborting: ${e?.message ?? String(e)}`);
+    // Let a later run pick up what this one claimed but never got out.
+    await releaseClaims(
+      name,
+      toPost.filter((a) => !announcedSet.has(a.apiname)).map((a) => unlockClaimKey(pk, a.apiname))
+    );
   }
 
-  // 7) Persist rich DynamoDB record every run, but only if there are changes
+  // 9) Persist rich state record every run, but only if there are changes
+  const deferredSet = new Set(unlockedApiNames.filter((api) => held.has(api) && !announcedSet.has(api)));
+
+  // Only a fully delivered run counts as a successful scan; otherwise keep this run's cutoff.
+  // Unlocks left unannounced (another run's claim, a failed post) stay inside the next cutoff.
+  const unsettled = due.filter((a) => a.unlocktime > 0 && !announcedSet.has(a.apiname) && !deferredSet.has(a.apiname));
+  const scanAt = Math.min(
+    deliveryError ? (lastScanAt ?? cutoff + windowSeconds) : nowSec,
+    ...unsettled.map((a) => a.unlocktime)
+  );
+  if (unsettled.length > 0) log(name, `${unsettled.length} unlock(s) not announced by this run; keeping lastScanAt at ${scanAt}`);
   const item = {
     PK: pk,
     name,
@@ -577,6 +1758,14 @@ async function processOneUser(user) {
     unannouncedUnlockedApiNames: unlockedApiNames.filter((api) => !announcedSet.has(api)),
 
     platinumAnnounced: !!platinumFlag,
+    platinumVersion,
+    milestonesAnnounced: Array.from(milestoneSet),
+    deferredApiNames: Array.from(deferredSet),
+    firstUnlockAt,
+    // Playtime snapshot; kept from the last run that had it when Steam hides it.
+    playtimeMinutes: playtimeMinutes ?? priorItem?.playtimeMinutes ?? null,
+    playtimeAt: playtimeMinutes != null ? nowSec : priorItem?.playtimeAt ?? null,
+    lastScanAt: scanAt,
     updatedAt: nowSec,
   };
 
@@ -590,16 +1779,21 @@ async function processOneUser(user) {
     progressText,
     announcedSet,
     platinumFlag: !!platinumFlag,
+    milestoneSet,
+    deferredSet,
+    nowSec,
   });
 
   if (needsWrite) {
-    await putStateItem(name, item);
+    await saveStateItem(name, item, { priorItem, priorChunks });
   } else {
-    log(name, "No DynamoDB changes detected; skipping PutItem.");
+    log(name, "No state changes detected; skipping PutItem.");
   }
 
-  log(name, "User processing complete");
-  return { ok: true, name, posted: toPost.length, appid, gameTitle, progressText, platinum: isPlatinum };
+  if (deliveryError) throw deliveryError;
+
+  log(name, `Game processing complete (appid=${appid})`, { event: "game.done", posted: toPost.length, platinum: isPlatinum });
+  return { ok: true, posted: toPost.length, appid, gameTitle, progressText, platinum: isPlatinum };
 }
 
 /* -------------------- concurrency runner -------------------- */
@@ -627,17 +1821,1053 @@ async function runWithConcurrency(items, worker, concurrency) {
 
 /* -------------------- Lambda handler -------------------- */
 
-export async function handler() {
-  const users = parseUsers();
-  console.log(
-    `[system] Starting run for ${users.length} user(s). Concurrency=${MAX_CONCURRENCY}. DDB_ITEM_MAX_BYTES=${MAX_ITEM_BYTES}. EVENTS_TABLE=${EVENTS_TABLE || "(disabled)"}`
+// event.users (optional) limits the run to those names, e.g. { "users": ["Ricky"] }.
+export async function handler(event, context) {
+  telemetry.beginRun(context?.awsRequestId);
+
+  steam.beginRun();
+
+  // Everyone is resolved, even on a filtered run, since rivalries span all tracked users.
+  const tracked = await resolveUsers(parseUsers());
+  let users = tracked;
+  if (Array.isArray(event?.users) && event.users.length > 0) {
+    const wanted = new Set(event.users.map((n) => String(n).toLowerCase()));
+    users = users.filter((u) => wanted.has(u.name.toLowerCase()));
+    if (users.length === 0) throw new Error(`None of the requested users are tracked: ${event.users.join(", ")}`);
+  }
+
+  log(
+    "system",
+    `Starting run for ${users.length} user(s). Concurrency=${MAX_CONCURRENCY}. STATE_BACKEND=${store.backend}. DDB_ITEM_MAX_BYTES=${MAX_ITEM_BYTES}. EVENTS_TABLE=${EVENTS_TABLE || "(disabled)"} OUTBOX_TABLE=${OUTBOX_TABLE || "(disabled)"}` +
+      (DRY ? " DRY_RUN=true" : "") +
+      (STEAM_FIXTURES_DIR ? ` STEAM_FIXTURES=${STEAM_FIXTURES_MODE}:${STEAM_FIXTURES_DIR}` : ""),
+    { event: "run.start", users: users.length }
   );
 
-  const results = await runWithConcurrency(users, processOneUser, MAX_CONCURRENCY);
+  // Deliver anything a previous run had to queue before posting anything new.
+  let outbox;
+  try {
+    // A dry run must not send anything, queued posts included.
+    outbox = DRY ? { skipped: true } : await drainOutbox();
+  } catch (e) {
+    log("system", `Outbox drain failed: ${e?.message ?? String(e)}`);
+    outbox = { error: e?.message ?? String(e) };
+  }
+
+  try {
+    if (!DRY) await buildUserIndexes(tracked.filter((u) => !u.resolveError).map((u) => String(u.steamId).trim()));
+  } catch (e) {
+    log("system", `Building state indexes failed: ${e?.message ?? String(e)}`);
+  }
+
+  const results = await runWithConcurrency(
+    users,
+    (u) => processOneUser(u, tracked).catch((e) => {
+      telemetry.recordUser(u.name, { ok: false, error: e?.message ?? String(e) });
+      throw e;
+    }),
+    MAX_CONCURRENCY
+  );
 
   const postedTotal = results.reduce((sum, r) => sum + (r?.posted || 0), 0);
   const platinumTotal = results.reduce((sum, r) => sum + (r?.platinum ? 1 : 0), 0);
 
-  console.log(`[system] Run complete. postedTotal=${postedTotal} platinumUsers=${platinumTotal}`);
-  return { ok: true, users: users.length, postedTotal, results };
+  const steamStats = steam.stats();
+
+  const metrics = telemetry.summary({ steam: steamStats });
+
+  log("system", `Run complete. postedTotal=${postedTotal} platinumUsers=${platinumTotal} steamRequests=${steamStats.requests} steamRetries=${steamStats.retries}`, {
+    event: "run.done",
+    postedTotal,
+    durationMs: metrics.durationMs,
+  });
+  return { ok: true, runId: metrics.runId, users: users.length, postedTotal, outbox, steam: steamStats, metrics, results };
+}
+
+
+/* -------------------- Weekly leaderboard digest -------------------- */
+
+function previousIsoWeekKey(now = new Date()) {
+  return isoWeekKey(new Date(now.getTime() - 7 * 86400000));
+}
+
+async function queryWeekEvents(week) {
+  const items = await store.query(EVENTS_TABLE, `week#${week}`);
+  log("system", `Loaded ${items.length} event(s) for week ${week}`);
+  return items;
+}
+
+// Points per unlock for the rarity-weighted ranking. Unknown rarity counts as Common.
+function rarityPoints(pct) {
+  if (!Number.isFinite(pct)) return 1;
+  switch (rarityTier(pct)) {
+    case "Legendary": return 10;
+    case "Epic": return 5;
+    case "Rare": return 3;
+    case "Uncommon": return 2;
+    default: return 1;
+  }
+}
+
+function buildWeeklyLeaderboard(week, events) {
+  const byUser = new Map(); // steamId -> { name, unlocks, score }
+  const platinums = [];
+  let rarest = null;
+
+  for (const e of events) {
+    if (e.type === "platinum") {
+      platinums.push(e);
+      continue;
+    }
+
+    const entry = byUser.get(e.steamId) ?? { steamId: e.steamId, name: e.name, unlocks: 0, score: 0 };
+    entry.name = e.name || entry.name;
+    entry.unlocks += 1;
+    entry.score += rarityPoints(e.rarityPercent);
+    byUser.set(e.steamId, entry);
+
+    if (Number.isFinite(e.rarityPercent) && (!rarest || e.rarityPercent < rarest.rarityPercent)) {
+      rarest = e;
+    }
+  }
+
+  const entries = Array.from(byUser.values());
+  const byUnlocks = [...entries].sort((a, b) => b.unlocks - a.unlocks || b.score - a.score);
+  const byScore = [...entries].sort((a, b) => b.score - a.score || b.unlocks - a.unlocks);
+  platinums.sort((a, b) => a.unlockedAtSec - b.unlockedAtSec);
+
+  return { week, totalUnlocks: entries.reduce((sum, e) => sum + e.unlocks, 0), byUnlocks, byScore, rarest, platinums };
+}
+
+function formatRankedLines(entries, valueOf) {
+  const medals = ["🥇", "🥈", "🥉"];
+  const size = Math.max(1, Number(LEADERBOARD_SIZE) || 10);
+  return entries
+    .slice(0, size)
+    .map((e, i) => `${medals[i] ?? `**${i + 1}.**`} ${e.name} — ${valueOf(e)}`)
+    .join("\n");
+}
+
+// Representative percentages for each tier, for the footer's scoring legend.
+const TIER_SAMPLES = [60, 30, 10, 2, 0.5];
+
+function buildLeaderboardEmbed(board, t = createTranslator(LOCALE)) {
+  const fields = [];
+
+  if (board.byUnlocks.length > 0) {
+    fields.push({ name: t("leaderboard.mostUnlocks"), value: formatRankedLines(board.byUnlocks, (e) => t("leaderboard.unlocks", { count: e.unlocks })), inline: false });
+    fields.push({ name: t("leaderboard.rarityScore"), value: formatRankedLines(board.byScore, (e) => t("leaderboard.points", { count: e.score })), inline: false });
+  }
+
+  if (board.rarest) {
+    const r = board.rarest;
+    // The week's rarest unlock is often a hidden one; the shared channel gets the global policy.
+    const name = r.achievementDisplayName ?? r.achievementApiName;
+    const achievement = !r.hidden || HIDDEN_ACHIEVEMENTS === "show"
+      ? name
+      : HIDDEN_ACHIEVEMENTS === "spoiler" ? `||${name}||` : t("achievement.hiddenName");
+    fields.push({
+      name: t("leaderboard.rarest"),
+      value: `${t("leaderboard.rarestValue", { name: r.name, achievement, game: r.gameTitle })}\n${formatRarityLine(r.rarityPercent, t)}`,
+      inline: false,
+    });
+  }
+
+  if (board.platinums.length > 0) {
+    fields.push({
+      name: t("leaderboard.platinums"),
+      value: board.platinums.map((p) => `🏆 ${p.name} — ${p.gameTitle}`).join("\n"),
+      inline: false,
+    });
+  }
+
+  const legend = TIER_SAMPLES.map((pct) => `${rarityTierLabel(pct, t)} ${rarityPoints(pct)}`).join(" · ");
+
+  return {
+    color: board.rarest ? rarityColor(board.rarest.rarityPercent) : 0x3498DB,
+    title: t("leaderboard.title", { week: board.week }),
+    description: t("leaderboard.description", { unlocks: board.totalUnlocks, players: board.byUnlocks.length }),
+    fields,
+    footer: { text: t("leaderboard.footer", { legend }) },
+  };
+}
+
+export async function weeklyDigestHandler(event, context) {
+  telemetry.beginRun(context?.awsRequestId);
+  if (!EVENTS_TABLE) {
+    log("system", "EVENTS_TABLE is not set; weekly digest disabled.");
+    return { ok: false, reason: "events_table_disabled" };
+  }
+
+  const week = event?.week || previousIsoWeekKey();
+  log("system", `Building weekly leaderboard digest for ${week}`);
+
+  const events = await queryWeekEvents(week);
+  if (events.length === 0) {
+    log("system", `No events recorded for ${week}; skipping digest post.`);
+    return { ok: true, week, posted: false, reason: "no_events" };
+  }
+
+  const board = buildWeeklyLeaderboard(week, events);
+  await deliverRequest("system", discordRequest(LEADERBOARD_WEBHOOK_URL || DISCORD_WEBHOOK_URL, {
+    username: createTranslator(LOCALE)("leaderboard.username"),
+    embeds: [buildLeaderboardEmbed(board)],
+  }), outboxKey("leaderboard", week));
+
+  log("system", `Weekly digest posted for ${week}. players=${board.byUnlocks.length} unlocks=${board.totalUnlocks} platinums=${board.platinums.length}`);
+  return { ok: true, week, posted: true, players: board.byUnlocks.length, unlocks: board.totalUnlocks, platinums: board.platinums.length };
+}
+
+/* -------------------- Year in review -------------------- */
+
+function yearRangeSec(year) {
+  return { startSec: Date.UTC(year, 0, 1) / 1000, endSec: Date.UTC(year + 1, 0, 1) / 1000 };
+}
+
+// Every ISO week that overlaps the calendar year.
+function isoWeeksOfYear(year) {
+  const weeks = new Set();
+  for (let ms = Date.UTC(year, 0, 1); ms < Date.UTC(year + 1, 0, 1); ms += 86400000) {
+    weeks.add(isoWeekKey(new Date(ms)));
+  }
+  return Array.from(weeks);
+}
+
+// Per-user counters for the year in review, kept in the state table for good: the event
+// log expires long before a January recap needs it.
+function yearStatsPk(steamId, year) {
+  return `year#${steamId}#${year}`;
+}
+
+async function recordYearUnlock({
+  name,
+  steamId,
+  appid,
+  gameTitle,
+  achievementApiName,
+  achievementDisplayName,
+  hidden,
+  rarityPercent,
+  unlockedAtSec,
+}) {
+  if (!(unlockedAtSec > 0)) return;
+  const year = new Date(unlockedAtSec * 1000).getUTCFullYear();
+  const pk = yearStatsPk(steamId, year);
+
+  try {
+    for (let attempt = 1; attempt <= STATE_WRITE_ATTEMPTS; attempt++) {
+      const row = await store.get(DDB_TABLE, { PK: pk });
+      const rarer = Number.isFinite(rarityPercent) && !(row?.rarest && row.rarest.pct <= rarityPercent);
+      const written = await store.put(DDB_TABLE, {
+        PK: pk,
+        name,
+        steamId,
+        year,
+        unlocks: (Number(row?.unlocks) || 0) + 1,
+        rarest: rarer
+          ? { achievement: achievementDisplayName || achievementApiName, hidden: !!hidden, game: gameTitle, appid, pct: rarityPercent }
+          : row?.rarest ?? null,
+        version: (Number(row?.version) || 0) + 1,
+      }, { ifVersion: row ? Number(row.version) || 0 : null });
+      if (written) return;
+    }
+    log(name, `Yearly stats for ${year} kept changing; this unlock wasn't counted`);
+  } catch (e) {
+    log(name, `Failed to update yearly stats: ${e?.name || e?.message || String(e)}`);
+  }
+}
+
+async function queryYearEvents(year) {
+  if (!EVENTS_TABLE) return [];
+  const { startSec, endSec } = yearRangeSec(year);
+  const items = [];
+  for (const week of isoWeeksOfYear(year)) {
+    items.push(...(await store.query(EVENTS_TABLE, `week#${week}`)));
+  }
+  const inYear = items.filter((e) => e.unlockedAtSec >= startSec && e.unlockedAtSec < endSec);
+  log("system", `Loaded ${inYear.length} event(s) for ${year}`);
+  return inYear;
+}
+
+function buildYearInReview(user, year, trophies, events, stats) {
+  const steamId = String(user.steamId).trim();
+  const { startSec, endSec } = yearRangeSec(year);
+
+  const platinums = trophies.filter((r) => r.steamId === steamId && r.completedAtSec >= startSec && r.completedAtSec < endSec);
+  // Platinums from before the trophy cabinet existed are only in the event log.
+  for (const e of events) {
+    if (e.type !== "platinum" || e.steamId !== steamId) continue;
+    if (platinums.some((p) => String(p.appid) === String(e.appid))) continue;
+    platinums.push({ appid: e.appid, gameTitle: e.gameTitle, totalAchievements: e.totalAchievements, completedAtSec: e.unlockedAtSec });
+  }
+  platinums.sort((a, b) => a.completedAtSec - b.completedAtSec);
+
+  // Rows from before the event type was recorded are unlocks.
+  const unlocks = events.filter((e) => e.type !== "platinum" && e.steamId === steamId);
+
+  // The yearly counters cover the whole year; years that began before they existed fall back
+  // to what the event log still has. A trophy's rarest achievement counts too.
+  let rarest = null;
+  const consider = (achievement, hidden, game, pct) => {
+    if (Number.isFinite(pct) && (!rarest || pct < rarest.pct)) rarest = { achievement, hidden: !!hidden, game, pct };
+  };
+  if (stats?.rarest) consider(stats.rarest.achievement, stats.rarest.hidden, stats.rarest.game, stats.rarest.pct);
+  for (const e of unlocks) consider(e.achievementDisplayName ?? e.achievementApiName, e.hidden, e.gameTitle, e.rarityPercent);
+  for (const p of platinums) if (p.rarest) consider(p.rarest.name, p.rarest.hidden, p.gameTitle, p.rarest.pct);
+
+  const mostPlayed = platinums
+    .filter((p) => p.playtimeMinutes > 0)
+    .sort((a, b) => b.playtimeMinutes - a.playtimeMinutes)[0] ?? null;
+
+  return { user, year, platinums, unlocks: Math.max(Number(stats?.unlocks) || 0, unlocks.length), rarest, mostPlayed };
+}
+
+function buildYearInReviewEmbed(recap) {
+  const { user, year, platinums, unlocks, rarest, mostPlayed } = recap;
+  const t = createTranslator(user.locale || LOCALE);
+  const tz = user.timezone || TIMEZONE;
+
+  const lines = platinums.slice(0, 15).map((p) => `🏆 **${p.gameTitle}** — ${formatLocalDayFromUnix(p.completedAtSec, tz, t)}`);
+  if (platinums.length > 15) lines.push(t("summary.more", { count: platinums.length - 15 }));
+
+  const fields = [{ name: t("recap.platinums"), value: lines.join("\n") || t("recap.noPlatinums"), inline: false }];
+  if (rarest) {
+    // Hidden achievements are often the rarest; the recap follows the user's hidden policy.
+    const policy = user.hiddenAchievements || HIDDEN_ACHIEVEMENTS;
+    const achievement = !rarest.hidden || policy === "show"
+      ? rarest.achievement
+      : policy === "spoiler" ? `||${rarest.achievement}||` : t("achievement.hiddenName");
+    fields.push({
+      name: t("recap.rarest"),
+      value: `${t("recap.rarestValue", { achievement, game: rarest.game })}\n${formatRarityLine(rarest.pct, t)}`,
+      inline: false,
+    });
+  }
+  if (mostPlayed) {
+    fields.push({
+      name: t("recap.mostPlayed"),
+      value: t("recap.mostPlayedValue", { game: mostPlayed.gameTitle, hours: Math.round(mostPlayed.playtimeMinutes / 60) }),
+      inline: false,
+    });
+  }
+
+  return {
+    color: rarest ? rarityColor(rarest.pct) : rarityColor(platinums.length > 0 ? 0 : 100),
+    title: t("recap.title", { name: user.name, year }),
+    url: `https://steamcommunity.com/profiles/${String(user.steamId).trim()}/`,
+    description: t("recap.description", { platinums: platinums.length, unlocks, year }),
+    ...(platinums.length > 0 && PLATINUM_IMAGE_URL ? { thumbnail: { url: PLATINUM_IMAGE_URL } } : {}),
+    fields,
+  };
+}
+
+// Schedule for early January; event.year (optional) picks another year, e.g. { "year": 2025 }.
+export async function yearInReviewHandler(event, context) {
+  telemetry.beginRun(context?.awsRequestId);
+  steam.beginRun();
+
+  const year = Number(event?.year) || new Date().getUTCFullYear() - 1;
+  log("system", `Building year in review for ${year}`);
+
+  const events = await queryYearEvents(year);
+  const users = (await resolveUsers(parseUsers())).filter((u) => !u.resolveError);
+  const recaps = (await Promise.all(users.map(async (u) => {
+    const steamId = String(u.steamId).trim();
+    const stats = await store.get(DDB_TABLE, { PK: yearStatsPk(steamId, year) });
+    return buildYearInReview(u, year, await listTrophies(steamId), events, stats);
+  }))).filter((r) => r.platinums.length > 0 || r.unlocks > 0);
+
+  if (recaps.length === 0) {
+    log("system", `Nothing recorded for ${year}; skipping year in review post.`);
+    return { ok: true, year, posted: false, reason: "no_activity" };
+  }
+
+  // Discord allows 10 embeds per message.
+  const webhookUrl = LEADERBOARD_WEBHOOK_URL || DISCORD_WEBHOOK_URL;
+  for (let i = 0; i < recaps.length; i += 10) {
+    await deliverRequest("system", discordRequest(webhookUrl, {
+      username: createTranslator(LOCALE)("recap.username"),
+      embeds: recaps.slice(i, i + 10).map(buildYearInReviewEmbed),
+    }), outboxKey("recap", year, i));
+  }
+
+  const platinums = recaps.reduce((sum, r) => sum + r.platinums.length, 0);
+  log("system", `Year in review posted for ${year}. players=${recaps.length} platinums=${platinums}`);
+  return { ok: true, year, posted: true, players: recaps.length, platinums };
+}
+
+/* -------------------- Completion goals -------------------- */
+
+// Goals are registered with /goal; each row also remembers the last report for "since then".
+function goalPk(steamId, appid) {
+  return `goal#${steamId}#app#${appid}`;
+}
+
+async function listGoals(steamId) {
+  return getIndexedRows(steamId, "goals");
+}
+
+// Locked achievements, most common first, each with its estimated difficulty.
+function remainingAchievements(playerAch, schemaByApi, rarityMap, t) {
+  return playerAch
+    .filter((a) => Number(a.achieved) === 0)
+    .map((a) => {
+      const u = describeUnlock({ ...a, unlocktime: 0 }, schemaByApi, rarityMap, t);
+      return { ...u, difficulty: difficultyScore(u.rarityPct) };
+    })
+    .sort((a, b) => (b.rarityPct ?? -1) - (a.rarityPct ?? -1));
+}
+
+async function postHuntingGuide(ctx, goal) {
+  const { name, steamId, locale } = ctx;
+  const appid = String(goal.appid);
+  const t = createTranslator(locale);
+
+  const playerJson = await steam.getPlayerAchievements(name, steamId, appid, steamLanguage(locale));
+  const playerAch = playerJson?.playerstats?.achievements ?? [];
+  if (playerAch.length === 0) throw new Error(`Steam returned no achievements for appid=${appid}`);
+
+  const schema = await steam.getSchema(name, appid, steamLanguage(locale));
+  const rarityMap = await steam.getRarity(name, appid);
+
+  const remaining = remainingAchievements(playerAch, schema.schemaByApi, rarityMap, t);
+  const totalAchievements = Math.max(schema.totalCount ?? 0, playerAch.length);
+  const unlockedCount = playerAch.length - remaining.length;
+  const gameTitle = goal.gameTitle || schema.schemaGameName || `App ${appid}`;
+  const nowSec = Math.floor(Date.now() / 1000);
+
+  log(name, `Posting hunting guide for ${gameTitle} (appid=${appid}): ${remaining.length} left`);
+  await notify(name, ctx.targets, {
+    user: { name },
+    game: { appid, title: gameTitle, url: `https://steamcommunity.com/profiles/${steamId}/stats/${appid}/achievements/` },
+    progress: { unlockedCount, totalAchievements, pctComplete: percent(unlockedCount, totalAchievements) },
+    tz: ctx.tz,
+    locale,
+    hiddenAchievements: ctx.hiddenAchievements,
+    type: "guide",
+    id: outboxKey("guide", steamId, appid, nowSec),
+    remaining,
+    previous: goal.lastReportAt ? { unlockedCount: Number(goal.lastUnlockedCount ?? 0), reportedAt: goal.lastReportAt } : null,
+  });
+
+  // A finished hunt is reported once, then the goal is done.
+  if (remaining.length === 0) {
+    await store.delete(DDB_TABLE, { PK: goal.PK });
+    await updateUserIndex(steamId, "goals", { remove: [goal.PK] });
+    log(name, `Goal for ${gameTitle} complete; removed it`);
+  } else {
+    await store.put(DDB_TABLE, { ...goal, gameTitle, lastReportAt: nowSec, lastUnlockedCount: unlockedCount });
+  }
+  return { appid, gameTitle, remaining: remaining.length };
+}
+
+/**
+ * Scheduled: a "what's left" post to its user's targets for every registered goal.
+ * Schedule it as often as guides should go out (e.g. weekly).
+ */
+export async function huntingGuideHandler(event, context) {
+  telemetry.beginRun(context?.awsRequestId);
+  steam.beginRun();
+
+  const guides = [];
+  for (const user of (await resolveUsers(parseUsers())).filter((u) => !u.resolveError)) {
+    const ctx = userContext(user);
+    for (const goal of await listGoals(ctx.steamId)) {
+      try {
+        const result = await telemetry.withScope({ appid: String(goal.appid) }, () => postHuntingGuide(ctx, goal));
+        guides.push({ ok: true, name: user.name, ...result });
+      } catch (e) {
+        log(user.name, `Hunting guide failed (appid=${goal.appid}): ${e?.message ?? String(e)}`);
+        guides.push({ ok: false, name: user.name, appid: String(goal.appid), error: e?.message ?? String(e) });
+      }
+    }
+  }
+
+  log("system", `Hunting guides done. posted=${guides.filter((g) => g.ok).length} failed=${guides.filter((g) => !g.ok).length}`);
+  return { ok: guides.every((g) => g.ok), guides };
+}
+
+/* -------------------- Discord slash commands -------------------- */
+
+// Application command definitions, for registering with
+// PUT /applications/{application.id}/commands.
+export function slashCommandDefinitions() {
+  const userChoices = parseUsers().slice(0, 25).map((u) => ({ name: u.name, value: u.name }));
+  const userOption = {
+    type: 3,
+    name: "user",
+    description: "Tracked Steam user",
+    required: true,
+    ...(userChoices.length > 0 ? { choices: userChoices } : {}),
+  };
+
+  return [
+    {
+      name: "progress",
+      description: "Achievement progress for a tracked user",
+      options: [
+        userOption,
+        { type: 3, name: "game", description: "Game title or appid", required: false },
+      ],
+    },
+    {
+      name: "platinums",
+      description: "Games a tracked user has completed",
+      options: [userOption],
+    },
+    {
+      name: "stats",
+      description: "Playtime and time-to-platinum stats for a tracked user",
+      options: [userOption],
+    },
+    {
+      name: "goal",
+      description: "Add, remove or list a tracked user's completion goals",
+      options: [
+        userOption,
+        { type: 3, name: "game", description: "Game title or appid (leave out to list goals)", required: false },
+        { type: 5, name: "remove", description: "Remove this goal instead of adding it", required: false },
+      ],
+    },
+    {
+      name: "leaderboard",
+      description: "Weekly leaderboard (defaults to the current week)",
+      options: [{ type: 3, name: "week", description: "ISO week, e.g. 2026-W07", required: false }],
+    },
+  ];
+}
+
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+function verifyDiscordSignature(rawBody, signatureHex, timestamp) {
+  if (!signatureHex || !timestamp) return false;
+  try {
+    const key = createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(DISCORD_PUBLIC_KEY, "hex")]),
+      format: "der",
+      type: "spki",
+    });
+    return verify(null, Buffer.from(timestamp + rawBody), key, Buffer.from(signatureHex, "hex"));
+  } catch {
+    return false;
+  }
+}
+
+function httpJson(statusCode, body) {
+  return { statusCode, headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) };
+}
+
+function commandReply(embeds, content) {
+  return httpJson(200, {
+    type: 4, // CHANNEL_MESSAGE_WITH_SOURCE
+    data: { ...(content ? { content } : {}), embeds, allowed_mentions: { parse: [] } },
+  });
+}
+
+// Only the matching user is resolved; vanity names are looked up one by one only when the
+// query is a SteamID that no configured ID matches.
+async function findTrackedUser(query) {
+  const q = String(query ?? "").trim().toLowerCase();
+  const users = parseUsers();
+  const match = users.find((u) => u.name.toLowerCase() === q) ?? users.find((u) => parseSteamProfile(u.steamId).steamId === q);
+  if (match) {
+    const [user] = await resolveUsers([match]);
+    return user.resolveError ? null : user;
+  }
+  if (!/^\d+$/.test(q)) return null;
+  for (const u of users.filter((u) => !parseSteamProfile(u.steamId).steamId)) {
+    const [user] = await resolveUsers([u]);
+    if (!user.resolveError && String(user.steamId) === q) return user;
+  }
+  return null;
+}
+
+async function listGameStates(steamId) {
+  const rows = await getIndexedRows(steamId, "games");
+  return rows.sort((a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0));
+}
+
+function isCompleted(row) {
+  return Number(row.totalAchievements) > 0 && Number(row.unlockedCount) >= Number(row.totalAchievements);
+}
+
+function buildProgressEmbed(user, row) {
+  const t = createTranslator(user.locale || LOCALE);
+  const pct = percent(Number(row.unlockedCount ?? 0), Number(row.totalAchievements ?? 0));
+  const fields = [
+    { name: t("field.progress", { game: row.gameTitle }), value: `${row.unlockedCount}/${row.totalAchievements} — ${pct}%`, inline: false },
+  ];
+  if (isCompleted(row)) {
+    fields.push({ name: t("field.platinum"), value: t("progress.completed"), inline: false });
+  }
+  if (row.updatedAt) {
+    fields.push({ name: t("field.lastUpdated"), value: formatLocalDateFromUnix(row.updatedAt, user.timezone || TIMEZONE, t), inline: false });
+  }
+
+  // Closer to completion reads as rarer, so the rarity palette doubles as a progress scale.
+  return {
+    color: isCompleted(row) ? rarityColor(0) : rarityColor(100 - pct),
+    title: t("progress.title", { name: user.name, game: row.gameTitle, pct }),
+    url: `https://steamcommunity.com/profiles/${row.steamId}/stats/${row.appid}/achievements/`,
+    fields,
+  };
+}
+
+async function progressCommand(options) {
+  const user = await findTrackedUser(options.user);
+  if (!user) return commandReply([], `I'm not tracking anyone called "${options.user}".`);
+
+  const rows = await listGameStates(String(user.steamId).trim());
+  if (rows.length === 0) return commandReply([], `No achievement progress recorded for ${user.name} yet.`);
+
+  if (options.game) {
+    const q = String(options.game).trim().toLowerCase();
+    const row = rows.find((r) => String(r.appid) === q) ?? rows.find((r) => String(r.gameTitle ?? "").toLowerCase().includes(q));
+    if (!row) return commandReply([], `No progress recorded for ${user.name} in "${options.game}".`);
+    return commandReply([buildProgressEmbed(user, row)]);
+  }
+
+  const t = createTranslator(user.locale || LOCALE);
+  const lines = rows.slice(0, 15).map((r) => {
+    const pct = percent(Number(r.unlockedCount ?? 0), Number(r.totalAchievements ?? 0));
+    return `${isCompleted(r) ? "🏆" : "•"} **${r.gameTitle}** — ${r.unlockedCount}/${r.totalAchievements} (${pct}%)`;
+  });
+  if (rows.length > 15) lines.push(t("summary.more", { count: rows.length - 15 }));
+
+  return commandReply([{
+    color: 0x3498DB,
+    title: t("progress.games", { name: user.name }),
+    url: `https://steamcommunity.com/profiles/${String(user.steamId).trim()}/`,
+    description: lines.join("\n"),
+  }]);
+}
+
+async function platinumsCommand(options) {
+  const user = await findTrackedUser(options.user);
+  if (!user) return commandReply([], `I'm not tracking anyone called "${options.user}".`);
+
+  const steamId = String(user.steamId).trim();
+  const trophies = await listTrophies(steamId);
+  const recorded = new Set(trophies.map((r) => String(r.appid)));
+  // Platinums from before the trophy cabinet existed only have their game's state row.
+  const legacy = (await listGameStates(steamId))
+    .filter((r) => (r.platinumAnnounced || isCompleted(r)) && !recorded.has(String(r.appid)));
+  const rows = [...trophies, ...legacy];
+  if (rows.length === 0) return commandReply([], `${user.name} hasn't earned any platinums yet.`);
+
+  const t = createTranslator(user.locale || LOCALE);
+  const tz = user.timezone || TIMEZONE;
+  return commandReply([{
+    color: rarityColor(0),
+    title: t("platinums.title", { name: user.name, count: rows.length }),
+    ...(PLATINUM_IMAGE_URL ? { thumbnail: { url: PLATINUM_IMAGE_URL } } : {}),
+    description: rows.slice(0, 40).map((r) => {
+      if (!r.completedAtSec) return t("platinums.line", { game: r.gameTitle, count: r.totalAchievements });
+      const vars = { game: r.gameTitle, count: r.totalAchievements, date: formatLocalDayFromUnix(r.completedAtSec, tz, t), version: r.version };
+      return t(r.version > 1 ? "platinums.lineAgain" : "platinums.lineDated", vars);
+    }).join("\n"),
+  }]);
+}
+
+// Platinum averages come from the trophy cabinet; the unlock rate from games whose state
+// row has a playtime snapshot.
+async function statsCommand(options) {
+  const user = await findTrackedUser(options.user);
+  if (!user) return commandReply([], `I'm not tracking anyone called "${options.user}".`);
+
+  const steamId = String(user.steamId).trim();
+  const t = createTranslator(user.locale || LOCALE);
+  const trophies = await listTrophies(steamId);
+  const rows = (await listGameStates(steamId)).filter((r) => Number(r.playtimeMinutes) > 0);
+
+  const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+  const avgMinutes = average(trophies.map((r) => Number(r.playtimeMinutes)).filter((m) => m > 0));
+  const avgDays = average(trophies.map((r) => daysToPlatinum(r.firstUnlockAtSec, r.completedAtSec)).filter((d) => d !== null));
+  const minutes = rows.reduce((sum, r) => sum + Number(r.playtimeMinutes), 0);
+  const unlocks = rows.reduce((sum, r) => sum + Number(r.unlockedCount ?? 0), 0);
+  const none = t("stats.none");
+
+  return commandReply([{
+    color: 0x3498DB,
+    title: t("stats.title", { name: user.name }),
+    url: `https://steamcommunity.com/profiles/${steamId}/`,
+    fields: [
+      { name: t("stats.platinums"), value: String(trophies.length), inline: true },
+      { name: t("stats.playtime"), value: minutes > 0 ? t("playtime.value", { hours: t.hours(minutes) }) : none, inline: true },
+      { name: t("stats.avgHours"), value: avgMinutes !== null ? t("playtime.value", { hours: t.hours(avgMinutes) }) : none, inline: false },
+      { name: t("stats.avgDays"), value: avgDays !== null ? String(Math.round(avgDays)) : none, inline: false },
+      { name: t("stats.unlocksPerHour"), value: minutes > 0 ? t.fixed(unlocks / (minutes / 60)) : none, inline: false },
+    ],
+  }]);
+}
+
+async function goalCommand(options) {
+  const user = await findTrackedUser(options.user);
+  if (!user) return commandReply([], `I'm not tracking anyone called "${options.user}".`);
+  const steamId = String(user.steamId).trim();
+  const t = createTranslator(user.locale || LOCALE);
+
+  if (!options.game) {
+    const goals = await listGoals(steamId);
+    if (goals.length === 0) return commandReply([], t("goal.none", { name: user.name }));
+    return commandReply([{
+      color: 0x3498DB,
+      title: t("goal.title", { name: user.name }),
+      description: goals.map((g) => t("goal.line", { game: g.gameTitle || t("goal.app", { appid: g.appid }), appid: g.appid })).join("\n"),
+    }]);
+  }
+
+  // Games the bot has seen are matched like /progress; anything else needs its appid.
+  const q = String(options.game).trim().toLowerCase();
+  const rows = await listGameStates(steamId);
+  const row = rows.find((r) => String(r.appid) === q) ?? rows.find((r) => String(r.gameTitle ?? "").toLowerCase().includes(q));
+  if (!row && !/^\d+$/.test(q)) return commandReply([], t("goal.notFound", { name: user.name, game: options.game }));
+
+  const appid = row ? String(row.appid) : q;
+  const gameTitle = row?.gameTitle ?? null;
+  const vars = { name: user.name, game: gameTitle ?? t("goal.app", { appid }) };
+
+  if (options.remove) {
+    if (!(await store.get(DDB_TABLE, { PK: goalPk(steamId, appid) }))) return commandReply([], t("goal.notAGoal", vars));
+    await store.delete(DDB_TABLE, { PK: goalPk(steamId, appid) });
+    await updateUserIndex(steamId, "goals", { remove: [goalPk(steamId, appid)] });
+    return commandReply([], t("goal.removed", vars));
+  }
+
+  const added = await store.put(
+    DDB_TABLE,
+    { PK: goalPk(steamId, appid), name: user.name, steamId, appid, gameTitle, createdAt: Math.floor(Date.now() / 1000) },
+    { ifNotExists: true }
+  );
+  if (!added) return commandReply([], t("goal.exists", vars));
+  await updateUserIndex(steamId, "goals", { add: [goalPk(steamId, appid)] });
+  return commandReply([], t("goal.added", vars));
+}
+
+async function leaderboardCommand(options) {
+  if (!EVENTS_TABLE) return commandReply([], "The leaderboard is disabled (no EVENTS_TABLE configured).");
+
+  const week = options.week ? String(options.week).trim().toUpperCase() : isoWeekKey(new Date());
+  if (!/^\d{4}-W\d{2}$/.test(week)) return commandReply([], `"${options.week}" isn't an ISO week like 2026-W07.`);
+
+  const events = await queryWeekEvents(week);
+  if (events.length === 0) return commandReply([], `No achievements recorded for ${week}.`);
+
+  return commandReply([buildLeaderboardEmbed(buildWeeklyLeaderboard(week, events))]);
+}
+
+const SLASH_COMMANDS = {
+  progress: progressCommand,
+  platinums: platinumsCommand,
+  stats: statsCommand,
+  goal: goalCommand,
+  leaderboard: leaderboardCommand,
+};
+
+export async function interactionsHandler(event, context) {
+  telemetry.beginRun(context?.awsRequestId);
+  steam.beginRun();
+  if (!DISCORD_PUBLIC_KEY) {
+    log("system", "DISCORD_PUBLIC_KEY is not set; rejecting interaction.");
+    return httpJson(500, { error: "interactions not configured" });
+  }
+
+  const headers = Object.fromEntries(Object.entries(event?.headers ?? {}).map(([k, v]) => [k.toLowerCase(), v]));
+  const rawBody = event?.isBase64Encoded ? Buffer.from(event.body ?? "", "base64").toString("utf8") : (event?.body ?? "");
+
+  if (!verifyDiscordSignature(rawBody, headers["x-signature-ed25519"], headers["x-signature-timestamp"])) {
+    return httpJson(401, { error: "invalid request signature" });
+  }
+
+  const interaction = JSON.parse(rawBody);
+  if (interaction.type === 1) return httpJson(200, { type: 1 }); // PING -> PONG
+
+  if (interaction.type !== 2) return httpJson(400, { error: `unsupported interaction type ${interaction.type}` });
+
+  const commandName = interaction.data?.name;
+  const options = Object.fromEntries((interaction.data?.options ?? []).map((o) => [o.name, o.value]));
+  log("system", `Slash command /${commandName} ${JSON.stringify(options)}`);
+
+  const command = SLASH_COMMANDS[commandName];
+  if (!command) return commandReply([], `Unknown command /${commandName}.`);
+
+  try {
+    return await command(options);
+  } catch (e) {
+    log("system", `Slash command /${commandName} failed: ${e?.message ?? String(e)}`);
+    return commandReply([], "Something went wrong answering that. Try again in a bit.");
+  }
+}
+
+/* -------------------- Read-only HTTP API -------------------- */
+
+// How far back /events and the feeds look, and the most they return.
+const API_RECENT_WEEKS = 4;
+const API_MAX_EVENTS = 100;
+
+function apiResponse(statusCode, body, contentType = "application/json") {
+  return {
+    statusCode,
+    headers: {
+      "Content-Type": contentType,
+      "Access-Control-Allow-Origin": "*",
+      // Shared caches must not hand token-protected responses to anyone who asks.
+      "Cache-Control": API_TOKEN ? "private, no-store" : "public, max-age=60",
+    },
+    body: contentType === "application/json" ? JSON.stringify(body) : body,
+  };
+}
+
+function apiError(statusCode, message) {
+  return apiResponse(statusCode, { error: message });
+}
+
+function apiAuthorized(headers, query) {
+  if (!API_TOKEN) return true;
+  const bearer = String(headers.authorization ?? "").match(/^Bearer\s+(.+)$/i)?.[1];
+  const given = Buffer.from(String(bearer ?? query.token ?? ""));
+  const expected = Buffer.from(API_TOKEN);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function achievementsUrl(steamId, appid) {
+  return `https://steamcommunity.com/profiles/${steamId}/stats/${appid}/achievements/`;
+}
+
+// What the API shows of a tracked user; never their targets or webhooks.
+function publicUser(u) {
+  const steamId = String(u.steamId).trim();
+  return { name: u.name, steamId, profileUrl: `https://steamcommunity.com/profiles/${steamId}/` };
+}
+
+function publicGame(row) {
+  const unlockedCount = Number(row.unlockedCount ?? 0);
+  const totalAchievements = Number(row.totalAchievements ?? 0);
+  return {
+    appid: String(row.appid),
+    gameTitle: row.gameTitle ?? null,
+    unlockedCount,
+    totalAchievements,
+    pctComplete: percent(unlockedCount, totalAchievements),
+    completed: isCompleted(row),
+    playtimeMinutes: row.playtimeMinutes ?? null,
+    updatedAt: row.updatedAt ?? null,
+    url: achievementsUrl(row.steamId, row.appid),
+  };
+}
+
+function publicEvent(e) {
+  return {
+    type: e.type,
+    name: e.name,
+    steamId: e.steamId,
+    appid: String(e.appid),
+    gameTitle: e.gameTitle,
+    ...(e.type === "platinum"
+      ? { totalAchievements: e.totalAchievements, version: e.version ?? 1 }
+      : {
+        ...(e.masked ? {} : { achievementApiName: e.achievementApiName }),
+        achievementName: e.achievementDisplayName,
+        rarityPercent: e.rarityPercent ?? null,
+      }),
+    at: e.unlockedAtSec,
+    url: achievementsUrl(e.steamId, e.appid),
+  };
+}
+
+// steamId -> the owner's hidden achievement policy, for events leaving through the API.
+async function hiddenPolicies() {
+  const users = (await resolveUsers(parseUsers())).filter((u) => !u.resolveError);
+  return new Map(users.map((u) => [String(u.steamId).trim(), u.hiddenAchievements || HIDDEN_ACHIEVEMENTS]));
+}
+
+// Feeds and the API are one more channel. Spoiler markup means nothing in them, so a hidden
+// unlock shows as the placeholder unless its owner shows hidden achievements everywhere.
+function maskHiddenEvent(e, policies, t) {
+  if (e.type === "platinum" || !e.hidden) return e;
+  if ((policies.get(String(e.steamId)) ?? HIDDEN_ACHIEVEMENTS) === "show") return e;
+  return {
+    ...e,
+    achievementDisplayName: t("achievement.hiddenName"),
+    achievementApiName: null,
+    // Feed entries still need a stable id that doesn't name the achievement.
+    maskedKey: outboxKey(e.steamId, e.appid, e.achievementApiName),
+    masked: true,
+  };
+}
+
+async function visibleEvents(events, t) {
+  const policies = await hiddenPolicies();
+  return events.map((e) => maskHiddenEvent(e, policies, t));
+}
+
+// Newest first across the last few ISO weeks; only one user's with a steamId.
+async function recentEvents({ steamId, limit = API_MAX_EVENTS } = {}) {
+  if (!EVENTS_TABLE) return [];
+  const now = Date.now();
+  const weeks = new Set(Array.from({ length: API_RECENT_WEEKS }, (_, i) => isoWeekKey(new Date(now - i * 7 * 86400000))));
+  const items = (await Promise.all([...weeks].map(queryWeekEvents))).flat();
+  return items
+    .filter((e) => !steamId || String(e.steamId) === steamId)
+    .sort((a, b) => b.unlockedAtSec - a.unlockedAtSec)
+    .slice(0, limit);
+}
+
+function eventLimit(query) {
+  return Math.min(API_MAX_EVENTS, Math.max(1, Number(query.limit) || 50));
+}
+
+function renderFeed(format, { id, title, link, self, events, t }) {
+  const entries = events.map((e) => ({
+    id: `urn:platinumbot:${e.steamId}:${e.appid}:${e.type === "platinum" ? `platinum:${e.version ?? 1}` : e.masked ? `hidden:${e.maskedKey}` : `ach:${e.achievementApiName}`}`,
+    title: e.type === "platinum"
+      ? t("feed.platinum", { name: e.name, game: e.gameTitle })
+      : t("feed.unlock", { name: e.name, achievement: e.achievementDisplayName || e.achievementApiName, game: e.gameTitle }),
+    link: achievementsUrl(e.steamId, e.appid),
+    summary: e.type !== "platinum" && Number.isFinite(e.rarityPercent) ? formatRarityLine(e.rarityPercent, t) : null,
+    at: e.unlockedAtSec,
+  }));
+  return format === "atom"
+    ? apiResponse(200, renderAtom({ id, title, link, self, entries }), ATOM_CONTENT_TYPE)
+    : apiResponse(200, renderRss({ title, link, self, entries }), RSS_CONTENT_TYPE);
+}
+
+async function userRoute(user, rest, query, base) {
+  const steamId = String(user.steamId).trim();
+  const [section, id] = rest;
+
+  if (!section) {
+    const rows = await listGameStates(steamId);
+    return apiResponse(200, {
+      ...publicUser(user),
+      games: rows.length,
+      completedGames: rows.filter(isCompleted).length,
+      platinums: (await listTrophies(steamId)).length,
+      unlocked: rows.reduce((sum, r) => sum + Number(r.unlockedCount ?? 0), 0),
+      playtimeMinutes: rows.reduce((sum, r) => sum + (Number(r.playtimeMinutes) || 0), 0),
+    });
+  }
+
+  if (section === "games" && !id) {
+    return apiResponse(200, { games: (await listGameStates(steamId)).map(publicGame) });
+  }
+
+  if (section === "games") {
+    const { priorItem: row } = await loadStateItem(`steam#${steamId}#app#${id}`);
+    if (!row) return apiError(404, `No progress recorded for ${user.name} in appid ${id}`);
+    return apiResponse(200, {
+      ...publicGame(row),
+      lockedApiNames: row.lockedApiNames ?? [],
+      milestonesAnnounced: row.milestonesAnnounced ?? [],
+      platinumAnnounced: !!row.platinumAnnounced,
+    });
+  }
+
+  if (section === "events") {
+    const events = await visibleEvents(await recentEvents({ steamId, limit: eventLimit(query) }), createTranslator(LOCALE));
+    return apiResponse(200, { events: events.map(publicEvent) });
+  }
+
+  if (section === "feed.atom" || section === "feed.rss") {
+    const t = createTranslator(user.locale || LOCALE);
+    return renderFeed(section.slice(5), {
+      id: `urn:platinumbot:user:${steamId}`,
+      title: t("feed.title", { name: user.name }),
+      link: publicUser(user).profileUrl,
+      self: base ? `${base}/users/${encodeURIComponent(user.name)}/${section}` : null,
+      events: await visibleEvents(await recentEvents({ steamId }), t),
+      t,
+    });
+  }
+
+  return null;
+}
+
+async function routeApi(parts, query, base) {
+  const [root, ...rest] = parts;
+
+  if (!root) {
+    return apiResponse(200, {
+      endpoints: [
+        "/users", "/users/{name}", "/users/{name}/games", "/users/{name}/games/{appid}", "/users/{name}/events",
+        "/users/{name}/feed.atom", "/users/{name}/feed.rss", "/events", "/leaderboard?week=YYYY-Www", "/feed.atom", "/feed.rss",
+      ],
+    });
+  }
+
+  if (root === "users" && rest.length === 0) {
+    const users = (await resolveUsers(parseUsers())).filter((u) => !u.resolveError);
+    return apiResponse(200, { users: users.map(publicUser) });
+  }
+
+  if (root === "users") {
+    const user = await findTrackedUser(rest[0]);
+    if (!user) return apiError(404, `Not tracking anyone called "${rest[0]}"`);
+    return userRoute(user, rest.slice(1), query, base);
+  }
+
+  if (rest.length > 0) return null;
+
+  if (root === "events") {
+    const events = await visibleEvents(await recentEvents({ limit: eventLimit(query) }), createTranslator(LOCALE));
+    return apiResponse(200, { events: events.map(publicEvent) });
+  }
+
+  if (root === "leaderboard") {
+    if (!EVENTS_TABLE) return apiError(404, "The leaderboard is disabled (no EVENTS_TABLE configured)");
+    const week = query.week ? String(query.week).trim().toUpperCase() : isoWeekKey(new Date());
+    if (!/^\d{4}-W\d{2}$/.test(week)) return apiError(400, `"${query.week}" isn't an ISO week like 2026-W07`);
+    const board = buildWeeklyLeaderboard(week, await visibleEvents(await queryWeekEvents(week), createTranslator(LOCALE)));
+    return apiResponse(200, {
+      ...board,
+      rarest: board.rarest ? publicEvent(board.rarest) : null,
+      platinums: board.platinums.map(publicEvent),
+    });
+  }
+
+  if (root === "feed.atom" || root === "feed.rss") {
+    const t = createTranslator(LOCALE);
+    return renderFeed(root.slice(5), {
+      id: "urn:platinumbot:group",
+      title: t("feed.groupTitle"),
+      link: base || "https://store.steampowered.com/",
+      self: base ? `${base}/${root}` : null,
+      events: await visibleEvents(await recentEvents(), t),
+      t,
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Read-only JSON endpoints and feeds over the state and events tables, for dashboards and
+ * feed readers. Takes Lambda function URL events; `node cli.mjs serve` runs it locally.
+ */
+export async function apiHandler(event, context) {
+  telemetry.beginRun(context?.awsRequestId);
+  steam.beginRun();
+
+  const method = event?.requestContext?.http?.method ?? event?.httpMethod ?? "GET";
+  const path = event?.rawPath ?? event?.path ?? "/";
+  const query = event?.queryStringParameters ?? {};
+  const headers = Object.fromEntries(Object.entries(event?.headers ?? {}).map(([k, v]) => [k.toLowerCase(), v]));
+
+  if (method !== "GET" && method !== "HEAD") return apiError(405, `${method} is not allowed; this API is read-only`);
+  if (!apiAuthorized(headers, query)) return apiError(401, "missing or wrong API token");
+
+  let parts;
+  try {
+    parts = path.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return apiError(400, `Malformed path: ${path}`);
+  }
+
+  const base = (API_BASE_URL || (headers.host ? `https://${headers.host}` : "")).replace(/\/+$/, "");
+  try {
+    return (await routeApi(parts, query, base)) ?? apiError(404, `No such endpoint: ${path}`);
+  } catch (e) {
+    log("system", `API ${path} failed: ${e?.message ?? String(e)}`);
+    return apiError(500, "Something went wrong; try again in a bit");
+  }
 }
@@ -0,0 +1,771 @@
+import { randomUUID } from "node:crypto";
+import { CARD_CONTENT_TYPE, renderPlatinumCard, renderUnlockCard } from "./cards.mjs";
+import {
+  formatLocalDateFromUnix,
+  formatLocalDayFromUnix,
+  formatRarityLine,
+  rarityColor,
+  rarityTierLabel,
+} from "./format.mjs";
+import { createTranslator } from "./i18n.mjs";
+
+/*
+ * Notification targets.
+ *
+ * processOneGame describes what happened as a platform-neutral event; each target type
+ * renders it into one or more HTTP requests ({ url, method, headers, body }) that the
+ * delivery layer sends, retries and, if need be, parks in the outbox.
+ *
+ * Event shape:
+ *   { type: "unlocks" | "platinum" | "milestone" | "passed" | "count_changed" | "notice" | "guide",
+ *     id,                                   // stable per event; used for outbox keys and Matrix txn ids
+ *     user: { name }, game: { appid, title, url }, tz, locale, hiddenAchievements, cards,
+ *     progress: { unlockedCount, totalAchievements, pctComplete },
+ *     playtimeMinutes,                      // lifetime playtime in the game, or null if Steam didn't say
+ *     layout, reason, unlocks,              // "unlocks": layout "list" | "summary", reason "catchup" | "burst" | "digest"
+ *     milestone, lastRemaining,             // "milestone"
+ *     passed,                               // "passed": [{ name, pct }]
+ *     imageUrl, version, mention, days,     // "platinum": version > 1 when re-earned after new achievements;
+ *                                           // mention { type: "everyone" | "role" | "user", id, slackId } or null,
+ *                                           // ids for Discord and Slack, either possibly null;
+ *                                           // days from first tracked unlock to completion, or null
+ *     previousTotal, platinumLost,          // "count_changed": achievements added or removed by an update
+ *     notice, profileUrl,                   // "notice": "private_profile" | "no_stats"; no progress, and
+ *                                           // no game for profile-wide notices
+ *     remaining, previous }                 // "guide": locked achievements, most common first, each with a
+ *                                           // difficulty; previous { unlockedCount, reportedAt } or null
+ *
+ * Unlocks are { apiname, achievementName, achievementDesc, iconUrl, hidden, rarityPct, unlocktime, group }.
+ * Renderers word everything in the event's locale. With `cards` on (or a target's own "cards"),
+ * Discord posts for unlocks and platinums also carry a generated PNG card, shown as the image
+ * of the embed it belongs to (see cards.mjs); an unlock's decoded icon, when one was loaded
+ * for its card, rides along as `icon`.
+ */
+
+export const TARGET_TYPES = ["discord", "slack", "matrix", "json"];
+
+// How achievements Steam marks hidden are shown: as-is, behind spoiler tags, or as a placeholder.
+export const HIDDEN_POLICIES = ["show", "spoiler", "placeholder"];
+
+export function validateTarget(t) {
+  if (!t || !TARGET_TYPES.includes(t.type)) {
+    throw new Error(`Each target needs a "type" of ${TARGET_TYPES.join(", ")}. Bad target: ${JSON.stringify(t)}`);
+  }
+  if (t.hiddenAchievements !== undefined && !HIDDEN_POLICIES.includes(t.hiddenAchievements)) {
+    throw new Error(`hiddenAchievements must be one of ${HIDDEN_POLICIES.join(", ")}. Bad target: ${describeTarget(t)}`);
+  }
+  if (t.cards !== undefined && typeof t.cards !== "boolean") {
+    throw new Error(`cards must be true or false. Bad target: ${describeTarget(t)}`);
+  }
+  if (t.type === "matrix") {
+    if (!t.homeserver || !t.roomId || !t.accessToken) {
+      throw new Error(`Matrix targets need "homeserver", "roomId" and "accessToken". Bad target: ${JSON.stringify({ ...t, accessToken: t.accessToken ? "***" : undefined })}`);
+    }
+  } else if (!t.url) {
+    throw new Error(`${t.type} targets need a "url". Bad target: ${JSON.stringify(t)}`);
+  }
+}
+
+// Short label for logs; never includes webhook secrets.
+export function describeTarget(t) {
+  if (t.type === "matrix") return `matrix:${t.roomId}`;
+  try {
+    return `${t.type}:${new URL(t.url).host}`;
+  } catch {
+    return t.type;
+  }
+}
+
+/* -------------------- shared wording -------------------- */
+
+function byRarity(a, b) {
+  return (a.rarityPct ?? Infinity) - (b.rarityPct ?? Infinity);
+}
+
+function rarestOf(unlocks) {
+  const sorted = [...unlocks].sort(byRarity);
+  return sorted[0]?.rarityPct != null ? sorted[0] : null;
+}
+
+function formatGroupStanding(group, t) {
+  if (group.first) return t("group.first");
+  return t("group.count", { have: group.have, of: group.of });
+}
+
+function progressLine({ unlockedCount, totalAchievements, pctComplete }) {
+  return `${unlockedCount}/${totalAchievements} — ${pctComplete}%`;
+}
+
+// " · 12.5 h played" after a progress line, when playtime is known.
+function playtimeSuffix(e, t) {
+  return e.playtimeMinutes != null ? ` · ${t("playtime.line", { hours: t.hours(e.playtimeMinutes) })}` : "";
+}
+
+function playtimeField(e, t) {
+  return e.playtimeMinutes != null ? [{ name: t("field.playtime"), value: t("playtime.value", { hours: t.hours(e.playtimeMinutes) }), inline: false }] : [];
+}
+
+// "40 h played · 12 day(s) from first tracked unlock to platinum", or null with neither.
+function platinumStats(e, t) {
+  const parts = [];
+  if (e.playtimeMinutes != null) parts.push(t("playtime.line", { hours: t.hours(e.playtimeMinutes) }));
+  if (e.days != null) parts.push(t("platinum.days", { days: e.days }));
+  return parts.length > 0 ? parts.join(" · ") : null;
+}
+
+function summaryRarity(u, t) {
+  return u.rarityPct === null ? "" : ` — ${rarityTierLabel(u.rarityPct, t)} (${t.fixed(u.rarityPct)}%)`;
+}
+
+// A hunting guide lists at most this many remaining achievements.
+const GUIDE_MAX_LINES = 15;
+
+// "Rare (7.50%) · difficulty 6/10" for a remaining achievement.
+function guideDetail(u, t) {
+  const parts = [];
+  if (u.rarityPct !== null) parts.push(formatRarityLine(u.rarityPct, t));
+  if (u.difficulty !== null) parts.push(t("guide.difficulty", { score: u.difficulty }));
+  return parts.join(" · ");
+}
+
+// { name, value } for the progress-since-last-report line, or null on a first report.
+function guideSinceLast(e, t) {
+  if (!e.previous) return null;
+  const gained = e.progress.unlockedCount - e.previous.unlockedCount;
+  return {
+    name: t("field.sinceLast", { date: formatLocalDayFromUnix(e.previous.reportedAt, e.tz, t) }),
+    value: gained > 0 ? t("guide.sinceLast", { count: gained, from: e.previous.unlockedCount, to: e.progress.unlockedCount }) : t("guide.noChange"),
+  };
+}
+
+// Where a post's title links to.
+function eventUrl(e) {
+  return e.game?.url ?? e.profileUrl;
+}
+
+// How to fix whatever a "notice" is about.
+function noticeHelp(e, t) {
+  return t(`notice.${e.notice}.help`, { name: e.user.name, game: e.game?.title });
+}
+
+function unlockTitle(e, t) {
+  return t("unlock.title", { name: e.user.name, game: e.game.title, pct: e.progress.pctComplete });
+}
+
+function eventTitle(e, t) {
+  const vars = { name: e.user.name, game: e.game?.title };
+  switch (e.type) {
+    case "unlocks":
+      if (e.reason === "catchup") return t("unlock.catchup", { ...vars, count: e.unlocks.length });
+      if (e.reason === "digest") return t("unlock.digest", { ...vars, count: e.unlocks.length });
+      if (e.unlocks.length === 1) return unlockTitle(e, t);
+      return t("unlock.titleMany", { ...vars, count: e.unlocks.length, pct: e.progress.pctComplete });
+    case "platinum":
+      return t(e.version > 1 ? "platinum.again" : "platinum", vars);
+    case "count_changed": {
+      const delta = e.progress.totalAchievements - e.previousTotal;
+      return t(delta > 0 ? "count.added" : "count.removed", { ...vars, count: Math.abs(delta), pct: e.progress.pctComplete });
+    }
+    case "milestone":
+      if (e.milestone === "one_away") return t("milestone.oneAway", vars);
+      if (e.milestone === "first") return t("milestone.first", vars);
+      return t("milestone.percent", { ...vars, pct: e.milestone });
+    case "passed":
+      return t("passed", { ...vars, who: t.list(e.passed.map((r) => r.name)) });
+    case "notice":
+      return t(`notice.${e.notice}`, vars);
+    case "guide":
+      if (e.remaining.length === 0) return t("guide.done", vars);
+      return t("guide.title", { ...vars, count: e.remaining.length });
+    default:
+      return `${e.user.name}: ${e.type}`;
+  }
+}
+
+/* -------------------- Discord -------------------- */
+
+// Discord caps embed descriptions at 4096 chars; list at most this many unlocks.
+const SUMMARY_MAX_LINES = 25;
+
+// Discord limits one webhook message to 10 embeds and 6000 characters of embed text.
+const MAX_EMBEDS_PER_MESSAGE = 10;
+const MAX_EMBED_CHARS_PER_MESSAGE = 6000;
+
+function buildUnlockEmbed(e, u, t) {
+  const embedColor = u.rarityPct === null ? 0xE74C3C : rarityColor(u.rarityPct);
+
+  const fields = [
+    { name: t("field.achievement"), value: u.achievementName, inline: false },
+    { name: t("field.description"), value: u.achievementDesc, inline: false },
+    { name: t("field.unlockedOn"), value: formatLocalDateFromUnix(u.unlocktime, e.tz, t), inline: false },
+    { name: t("field.progress", { game: e.game.title }), value: progressLine(e.progress), inline: false },
+    ...playtimeField(e, t),
+  ];
+
+  if (u.rarityPct !== null) {
+    fields.push({ name: t("field.rarity"), value: formatRarityLine(u.rarityPct, t), inline: false });
+  }
+
+  if (u.group) {
+    fields.push({ name: t("field.friends"), value: formatGroupStanding(u.group, t), inline: false });
+  }
+
+  return {
+    color: embedColor,
+    title: unlockTitle(e, t),
+    url: e.game.url,
+    ...(u.iconUrl ? { thumbnail: { url: u.iconUrl } } : {}),
+    fields,
+  };
+}
+
+function buildUnlockSummaryEmbed(e, t) {
+  const sorted = [...e.unlocks].sort(byRarity);
+  const rarest = rarestOf(sorted);
+
+  const lines = sorted.slice(0, SUMMARY_MAX_LINES).map((u) => {
+    const rarity = summaryRarity(u, t);
+    const label = u === rarest ? `⭐ **${u.achievementName}**` : `• **${u.achievementName}**`;
+    const firstInGroup = u.group?.first ? ` · ${t("summary.firstInGroup")}` : "";
+    return `${label}${rarity} · ${formatLocalDateFromUnix(u.unlocktime, e.tz, t)}${firstInGroup}`;
+  });
+  if (sorted.length > SUMMARY_MAX_LINES) {
+    lines.push(t("summary.more", { count: sorted.length - SUMMARY_MAX_LINES }));
+  }
+
+  const fields = [];
+  if (rarest) {
+    fields.push({ name: t("field.rarest"), value: `${rarest.achievementName}\n${formatRarityLine(rarest.rarityPct, t)}`, inline: false });
+  }
+  fields.push({ name: t("field.progress", { game: e.game.title }), value: progressLine(e.progress), inline: false }, ...playtimeField(e, t));
+
+  return {
+    color: rarest ? rarityColor(rarest.rarityPct) : 0xE74C3C,
+    title: eventTitle(e, t),
+    url: e.game.url,
+    ...(rarest?.iconUrl ? { thumbnail: { url: rarest.iconUrl } } : {}),
+    description: lines.join("\n"),
+    fields,
+  };
+}
+
+function buildMilestoneEmbed(e, t) {
+  const fields = [
+    { name: t("field.progress", { game: e.game.title }), value: progressLine(e.progress), inline: false },
+  ];
+
+  if (e.milestone === "one_away") {
+    const last = e.lastRemaining;
+    if (last) {
+      fields.unshift(
+        { name: t("field.lastRemaining"), value: last.achievementName, inline: false },
+        { name: t("field.description"), value: last.achievementDesc, inline: false },
+        ...(last.rarityPct !== null ? [{ name: t("field.rarity"), value: formatRarityLine(last.rarityPct, t), inline: false }] : [])
+      );
+    }
+    return {
+      color: last?.rarityPct != null ? rarityColor(last.rarityPct) : rarityColor(1),
+      title: eventTitle(e, t),
+      url: e.game.url,
+      ...(last?.iconUrl ? { thumbnail: { url: last.iconUrl } } : {}),
+      fields,
+    };
+  }
+
+  // Same convention as /progress: further along reads as rarer.
+  return { color: rarityColor(100 - e.progress.pctComplete), title: eventTitle(e, t), url: e.game.url, fields };
+}
+
+// Second line of a "count_changed" post, if any.
+function countChangeNote(e, t) {
+  return e.platinumLost ? t("count.platinumLost", { name: e.user.name, game: e.game.title }) : null;
+}
+
+function buildCountChangedEmbed(e, t) {
+  const note = countChangeNote(e, t);
+  return {
+    color: rarityColor(100 - e.progress.pctComplete),
+    title: eventTitle(e, t),
+    url: e.game.url,
+    ...(note ? { description: note } : {}),
+    fields: [{ name: t("field.progress", { game: e.game.title }), value: progressLine(e.progress), inline: false }],
+  };
+}
+
+function buildPassedEmbed(e, t) {
+  return {
+    color: rarityColor(100 - e.progress.pctComplete),
+    title: eventTitle(e, t),
+    url: e.game.url,
+    description: [
+      `**${e.user.name}** — ${e.progress.pctComplete}%`,
+      ...e.passed.map((r) => `${r.name} — ${r.pct}%`),
+    ].join("\n"),
+  };
+}
+
+function buildGuideEmbed(e, t) {
+  const lines = e.remaining.slice(0, GUIDE_MAX_LINES).map((u) => {
+    const detail = guideDetail(u, t);
+    return `• **${u.achievementName}** — ${u.achievementDesc}${detail ? `\n  ${detail}` : ""}`;
+  });
+  if (e.remaining.length > GUIDE_MAX_LINES) lines.push(t("summary.more", { count: e.remaining.length - GUIDE_MAX_LINES }));
+
+  const since = guideSinceLast(e, t);
+  return {
+    color: e.remaining.length === 0 ? rarityColor(0) : rarityColor(100 - e.progress.pctComplete),
+    title: eventTitle(e, t),
+    url: e.game.url,
+    ...(lines.length > 0 ? { description: lines.join("\n") } : {}),
+    fields: [
+      { name: t("field.progress", { game: e.game.title }), value: progressLine(e.progress), inline: false },
+      ...(since ? [{ ...since, inline: false }] : []),
+    ],
+  };
+}
+
+function embedTextLength(embed) {
+  return [
+    embed.title,
+    embed.description,
+    embed.footer?.text,
+    embed.author?.name,
+    ...(embed.fields ?? []).flatMap((f) => [f.name, f.value]),
+  ].reduce((sum, t) => sum + (t ? String(t).length : 0), 0);
+}
+
+// Pack embeds into as few messages as Discord's per-message limits allow.
+function packEmbeds(embeds) {
+  const messages = [];
+  let current = null;
+  for (const embed of embeds) {
+    const chars = embedTextLength(embed);
+    if (!current || current.embeds.length >= MAX_EMBEDS_PER_MESSAGE || current.chars + chars > MAX_EMBED_CHARS_PER_MESSAGE) {
+      current = { embeds: [], chars: 0 };
+      messages.push(current);
+    }
+    current.embeds.push(embed);
+    current.chars += chars;
+  }
+  return messages.map((m) => m.embeds);
+}
+
+// files: [{ filename, contentType, content }] with Buffer content. Multipart bodies are
+// carried base64-encoded (bodyEncoding) so the request stays JSON-serializable for the outbox.
+export function discordRequest(webhookUrl, payload, files = []) {
+  const url = new URL(webhookUrl);
+  url.searchParams.set("wait", "true"); // only resolve once Discord has stored the message
+  if (files.length === 0) {
+    return {
+      url: url.toString(),
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    };
+  }
+
+  // Multipart upload: the JSON payload goes in payload_json, each file in files[n].
+  const boundary = `platinumbot-${randomUUID()}`;
+  const parts = [
+    {
+      headers: ['Content-Disposition: form-data; name="payload_json"', "Content-Type: application/json"],
+      content: JSON.stringify({ ...payload, attachments: files.map((f, i) => ({ id: i, filename: f.filename })) }),
+    },
+    ...files.map((f, i) => ({
+      headers: [`Content-Disposition: form-data; name="files[${i}]"; filename="${f.filename}"`, `Content-Type: ${f.contentType}`],
+      content: f.content,
+    })),
+  ];
+  const body = Buffer.concat([
+    ...parts.flatMap((p) => [
+      Buffer.from(`--${boundary}\r\n${p.headers.join("\r\n")}\r\n\r\n`),
+      Buffer.from(p.content),
+      Buffer.from("\r\n"),
+    ]),
+    Buffer.from(`--${boundary}--\r\n`),
+  ]);
+  return {
+    url: url.toString(),
+    method: "POST",
+    headers: { "Content-Type": `multipart/form-data; boundary=${boundary}` },
+    body: body.toString("base64"),
+    bodyEncoding: "base64",
+  };
+}
+
+function cardFile(name, content) {
+  return { filename: `${String(name).replace(/[^A-Za-z0-9_-]/g, "_")}.png`, contentType: CARD_CONTENT_TYPE, content };
+}
+
+// Shows the attached card inside the embed it belongs to instead of below the message.
+function withCard(embed, file) {
+  return { ...embed, image: { url: `attachment://${file.filename}` } };
+}
+
+/**
+ * The unlocks of event `e` drawn on a card when it's posted to `target` with their icon
+ * (hidden ones masked on the card get the medal). Callers load those icons before rendering.
+ */
+export function cardUnlocks(target, e) {
+  if (e.type !== "unlocks" || target.type !== "discord" || !(target.cards ?? e.cards ?? false)) return [];
+  const policy = target.hiddenAchievements ?? e.hiddenAchievements ?? "show";
+  const carded = e.layout === "summary" ? [rarestOf(e.unlocks) ?? e.unlocks[0]] : e.unlocks;
+  return carded.filter((u) => policy === "show" || !u.hidden);
+}
+
+// Named by position in the message: clients show the filename, and an apiname can give a
+// hidden achievement away.
+function unlockCardFile(e, u, target, t, index) {
+  // Spoiler markup means nothing inside an image; hidden achievements get the placeholder
+  // and the medal instead of their icon.
+  const policy = target.hiddenAchievements ?? e.hiddenAchievements ?? "show";
+  const shown = policy === "show" || !u.hidden ? u : { ...maskHidden(u, "placeholder", null, t), icon: null };
+  return cardFile(`card-${index + 1}`, renderUnlockCard(e, shown, t));
+}
+
+// Content prefix and allowed_mentions, so only the chosen mention can ping.
+function discordMention(mention) {
+  switch (mention?.type) {
+    case "everyone":
+      return { prefix: "@everyone ", allowed: { parse: ["everyone"] } };
+    case "role":
+      if (!mention.id) break;
+      return { prefix: `<@&${mention.id}> `, allowed: { parse: [], roles: [mention.id] } };
+    case "user":
+      if (!mention.id) break;
+      return { prefix: `<@${mention.id}> `, allowed: { parse: [], users: [mention.id] } };
+  }
+  return { prefix: "", allowed: { parse: [] } };
+}
+
+// Slack pings whatever the text names, so the prefix alone decides who gets one.
+function slackMention(mention) {
+  switch (mention?.type) {
+    case "everyone":
+      return "<!channel> ";
+    case "role":
+      return mention.slackId ? `<!subteam^${mention.slackId}> ` : "";
+    case "user":
+      return mention.slackId ? `<@${mention.slackId}> ` : "";
+    default:
+      return "";
+  }
+}
+
+function renderDiscord(target, e, t) {
+  const username = t("bot.username", { name: e.user.name });
+  const send = (payload, files) => discordRequest(target.url, { username, ...payload }, files);
+  const cards = target.cards ?? e.cards ?? false;
+
+  switch (e.type) {
+    case "unlocks": {
+      if (e.layout === "summary") {
+        const embed = buildUnlockSummaryEmbed(e, t);
+        if (!cards) return [send({ embeds: [embed] })];
+        const file = unlockCardFile(e, rarestOf(e.unlocks) ?? e.unlocks[0], target, t, 0);
+        return [send({ embeds: [withCard(embed, file)] }, [file])];
+      }
+      const embeds = e.unlocks.map((u) => buildUnlockEmbed(e, u, t));
+      return packEmbeds(embeds).map((group) => {
+        if (!cards) return send({ embeds: group });
+        const files = group.map((embed, i) => unlockCardFile(e, e.unlocks[embeds.indexOf(embed)], target, t, i));
+        return send({ embeds: group.map((embed, i) => withCard(embed, files[i])) }, files);
+      });
+    }
+    case "platinum": {
+      const { prefix, allowed } = discordMention(e.mention);
+      const stats = platinumStats(e, t);
+      const file = cards ? cardFile("platinum", renderPlatinumCard(e, t)) : null;
+      let embed = { ...(e.imageUrl ? { thumbnail: { url: e.imageUrl } } : {}), ...(stats ? { description: stats } : {}) };
+      if (file) embed = withCard(embed, file);
+      return [send({
+        content: `${prefix}${eventTitle(e, t)}`,
+        allowed_mentions: allowed,
+        embeds: Object.keys(embed).length > 0 ? [embed] : [],
+      }, file ? [file] : [])];
+    }
+    case "milestone":
+      return [send({ embeds: [buildMilestoneEmbed(e, t)] })];
+    case "passed":
+      return [send({ embeds: [buildPassedEmbed(e, t)] })];
+    case "count_changed":
+      return [send({ embeds: [buildCountChangedEmbed(e, t)] })];
+    case "notice":
+      return [send({ embeds: [{ color: 0xE67E22, title: eventTitle(e, t), url: eventUrl(e), description: noticeHelp(e, t) }] })];
+    case "guide":
+      return [send({ embeds: [buildGuideEmbed(e, t)] })];
+    default:
+      return [];
+  }
+}
+
+/* -------------------- Slack (Block Kit) -------------------- */
+
+// Slack allows 50 blocks per message; each unlock takes two.
+const SLACK_UNLOCKS_PER_MESSAGE = 20;
+
+function slackEscape(text) {
+  return String(text ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function slackUnlockBlocks(e, u, t) {
+  const lines = [`*${slackEscape(u.achievementName)}*`, slackEscape(u.achievementDesc)];
+  if (u.rarityPct !== null) lines.push(formatRarityLine(u.rarityPct, t));
+
+  const context = [t("unlock.unlockedAt", { date: formatLocalDateFromUnix(u.unlocktime, e.tz, t) })];
+  if (u.group) context.push(formatGroupStanding(u.group, t));
+
+  return [
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: lines.join("\n") },
+      ...(u.iconUrl ? { accessory: { type: "image", image_url: u.iconUrl, alt_text: slackEscape(u.achievementName) } } : {}),
+    },
+    { type: "context", elements: [{ type: "mrkdwn", text: context.join(" · ") }] },
+  ];
+}
+
+function slackHeader(e, text) {
+  return {
+    type: "section",
+    text: { type: "mrkdwn", text: `*<${eventUrl(e)}|${slackEscape(text)}>*` },
+  };
+}
+
+function slackProgress(e, t) {
+  return { type: "context", elements: [{ type: "mrkdwn", text: slackEscape(t("progress.line", { game: e.game.title, progress: progressLine(e.progress) }) + playtimeSuffix(e, t)) }] };
+}
+
+function renderSlack(target, e, t) {
+  const send = (text, blocks) => ({
+    url: target.url,
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ text, blocks }),
+  });
+  const title = eventTitle(e, t);
+
+  switch (e.type) {
+    case "unlocks": {
+      if (e.layout === "summary") {
+        const sorted = [...e.unlocks].sort(byRarity);
+        const rarest = rarestOf(sorted);
+        const lines = sorted.slice(0, SUMMARY_MAX_LINES).map((u) => {
+          const rarity = summaryRarity(u, t);
+          return `${u === rarest ? "⭐" : "•"} *${slackEscape(u.achievementName)}*${rarity}`;
+        });
+        if (sorted.length > SUMMARY_MAX_LINES) lines.push(t("summary.more", { count: sorted.length - SUMMARY_MAX_LINES }));
+        return [send(title, [
+          slackHeader(e, title),
+          { type: "section", text: { type: "mrkdwn", text: lines.join("\n") } },
+          slackProgress(e, t),
+        ])];
+      }
+
+      const requests = [];
+      for (let i = 0; i < e.unlocks.length; i += SLACK_UNLOCKS_PER_MESSAGE) {
+        const part = e.unlocks.slice(i, i + SLACK_UNLOCKS_PER_MESSAGE);
+        requests.push(send(title, [
+          slackHeader(e, title),
+          ...part.flatMap((u) => slackUnlockBlocks(e, u, t)),
+          slackProgress(e, t),
+        ]));
+      }
+      return requests;
+    }
+    case "platinum": {
+      const prefix = slackMention(e.mention);
+      return [send(`${prefix}${title}`, [
+        { type: "section", text: { type: "mrkdwn", text: `${prefix}${slackEscape(title)}` } },
+        ...(platinumStats(e, t) ? [{ type: "context", elements: [{ type: "mrkdwn", text: slackEscape(platinumStats(e, t)) }] }] : []),
+        ...(e.imageUrl ? [{ type: "image", image_url: e.imageUrl, alt_text: t("platinum.imageAlt") }] : []),
+      ])];
+    }
+    case "milestone": {
+      const blocks = [slackHeader(e, title)];
+      const last = e.lastRemaining;
+      if (e.milestone === "one_away" && last) {
+        const lines = [t("lastRemaining.line", { achievement: `*${slackEscape(last.achievementName)}*` }), slackEscape(last.achievementDesc)];
+        if (last.rarityPct !== null) lines.push(formatRarityLine(last.rarityPct, t));
+        blocks.push({ type: "section", text: { type: "mrkdwn", text: lines.join("\n") } });
+      }
+      blocks.push(slackProgress(e, t));
+      return [send(title, blocks)];
+    }
+    case "passed":
+      return [send(title, [
+        slackHeader(e, title),
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: [`*${slackEscape(e.user.name)}* — ${e.progress.pctComplete}%`, ...e.passed.map((r) => `${slackEscape(r.name)} — ${r.pct}%`)].join("\n"),
+          },
+        },
+      ])];
+    case "count_changed": {
+      const note = countChangeNote(e, t);
+      return [send(title, [
+        slackHeader(e, title),
+        ...(note ? [{ type: "section", text: { type: "mrkdwn", text: slackEscape(note) } }] : []),
+        slackProgress(e, t),
+      ])];
+    }
+    case "notice":
+      return [send(title, [
+        slackHeader(e, title),
+        { type: "section", text: { type: "mrkdwn", text: slackEscape(noticeHelp(e, t)) } },
+      ])];
+    case "guide": {
+      const lines = e.remaining.slice(0, GUIDE_MAX_LINES).map((u) => {
+        const detail = guideDetail(u, t);
+        return `• *${slackEscape(u.achievementName)}* — ${slackEscape(u.achievementDesc)}${detail ? `\n    _${detail}_` : ""}`;
+      });
+      if (e.remaining.length > GUIDE_MAX_LINES) lines.push(t("summary.more", { count: e.remaining.length - GUIDE_MAX_LINES }));
+      const since = guideSinceLast(e, t);
+      return [send(title, [
+        slackHeader(e, title),
+        ...(lines.length > 0 ? [{ type: "section", text: { type: "mrkdwn", text: lines.join("\n") } }] : []),
+        ...(since ? [{ type: "context", elements: [{ type: "mrkdwn", text: slackEscape(`${since.name}: ${since.value}`) }] }] : []),
+        slackProgress(e, t),
+      ])];
+    }
+    default:
+      return [];
+  }
+}
+
+/* -------------------- Matrix -------------------- */
+
+function htmlEscape(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function matrixUnlockLine(u, t) {
+  const parts = [`<b>${htmlEscape(u.achievementName)}</b> — ${htmlEscape(u.achievementDesc)}`];
+  if (u.rarityPct !== null) parts.push(htmlEscape(formatRarityLine(u.rarityPct, t)));
+  if (u.group) parts.push(htmlEscape(formatGroupStanding(u.group, t)));
+  return parts.join("<br>");
+}
+
+function matrixBody(e, t) {
+  const title = eventTitle(e, t);
+  const html = [`<p><a href="${htmlEscape(eventUrl(e))}"><b>${htmlEscape(title)}</b></a></p>`];
+  const text = [title];
+
+  if (e.type === "unlocks") {
+    const unlocks = e.layout === "summary" ? [...e.unlocks].sort(byRarity) : e.unlocks;
+    html.push(`<ul>${unlocks.map((u) => `<li>${matrixUnlockLine(u, t)}</li>`).join("")}</ul>`);
+    text.push(...unlocks.map((u) => `• ${u.achievementName} — ${u.achievementDesc}${u.rarityPct !== null ? ` (${formatRarityLine(u.rarityPct, t)})` : ""}`));
+  } else if (e.type === "milestone" && e.milestone === "one_away" && e.lastRemaining) {
+    html.push(`<p>${t("lastRemaining.line", { achievement: matrixUnlockLine(e.lastRemaining, t) })}</p>`);
+    text.push(t("lastRemaining.line", { achievement: `${e.lastRemaining.achievementName} — ${e.lastRemaining.achievementDesc}` }));
+  } else if (e.type === "passed") {
+    const rows = [`${e.user.name} — ${e.progress.pctComplete}%`, ...e.passed.map((r) => `${r.name} — ${r.pct}%`)];
+    html.push(`<p>${rows.map(htmlEscape).join("<br>")}</p>`);
+    text.push(...rows);
+  } else if (e.type === "count_changed" && countChangeNote(e, t)) {
+    html.push(`<p>${htmlEscape(countChangeNote(e, t))}</p>`);
+    text.push(countChangeNote(e, t));
+  } else if (e.type === "platinum" && platinumStats(e, t)) {
+    html.push(`<p>${htmlEscape(platinumStats(e, t))}</p>`);
+    text.push(platinumStats(e, t));
+  } else if (e.type === "notice") {
+    html.push(`<p>${htmlEscape(noticeHelp(e, t))}</p>`);
+    text.push(noticeHelp(e, t));
+  } else if (e.type === "guide") {
+    const shown = e.remaining.slice(0, GUIDE_MAX_LINES);
+    const line = (u) => [`${u.achievementName} — ${u.achievementDesc}`, guideDetail(u, t)].filter(Boolean).join(" · ");
+    if (shown.length > 0) {
+      html.push(`<ul>${shown.map((u) => `<li><b>${htmlEscape(u.achievementName)}</b> — ${htmlEscape(u.achievementDesc)}${guideDetail(u, t) ? `<br>${htmlEscape(guideDetail(u, t))}` : ""}</li>`).join("")}</ul>`);
+      text.push(...shown.map((u) => `• ${line(u)}`));
+    }
+    if (e.remaining.length > GUIDE_MAX_LINES) {
+      const more = t("summary.more", { count: e.remaining.length - GUIDE_MAX_LINES });
+      html.push(`<p>${htmlEscape(more)}</p>`);
+      text.push(more);
+    }
+    const since = guideSinceLast(e, t);
+    if (since) {
+      html.push(`<p>${htmlEscape(`${since.name}: ${since.value}`)}</p>`);
+      text.push(`${since.name}: ${since.value}`);
+    }
+  }
+
+  if (e.progress && e.type !== "platinum") {
+    const progress = t("progress.line", { game: e.game.title, progress: progressLine(e.progress) }) + playtimeSuffix(e, t);
+    html.push(`<p><i>${htmlEscape(progress)}</i></p>`);
+    text.push(progress);
+  }
+
+  return { msgtype: "m.text", body: text.join("\n"), format: "org.matrix.custom.html", formatted_body: html.join("") };
+}
+
+function renderMatrix(target, e, t) {
+  const homeserver = String(target.homeserver).replace(/\/+$/, "");
+  // Matrix de-duplicates sends by transaction id, so a retried event is never posted twice.
+  const txnId = encodeURIComponent(`platinumbot-${e.id}`);
+  return [{
+    url: `${homeserver}/_matrix/client/v3/rooms/${encodeURIComponent(target.roomId)}/send/m.room.message/${txnId}`,
+    method: "PUT",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${target.accessToken}` },
+    body: JSON.stringify(matrixBody(e, t)),
+  }];
+}
+
+/* -------------------- generic JSON webhook -------------------- */
+
+function renderJson(target, e, t) {
+  return [{
+    url: target.url,
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(target.headers ?? {}) },
+    body: JSON.stringify({ ...e, title: eventTitle(e, t) }),
+  }];
+}
+
+/* -------------------- hidden achievements -------------------- */
+
+const SPOILER_MARKUP = {
+  discord: (text) => `||${text}||`,
+};
+
+// Targets without spoiler markup get the placeholder instead.
+function maskHidden(u, policy, spoiler, t) {
+  if (!u?.hidden || policy === "show") return u;
+  if (policy === "spoiler" && spoiler) {
+    return { ...u, achievementName: spoiler(u.achievementName), achievementDesc: spoiler(u.achievementDesc) };
+  }
+  return { ...u, achievementName: t("achievement.hiddenName"), achievementDesc: t("achievement.hiddenDesc") };
+}
+
+function applyHiddenPolicy(e, target, t) {
+  const policy = target.hiddenAchievements ?? e.hiddenAchievements ?? "show";
+  if (policy === "show") return e;
+  const mask = (u) => maskHidden(u, policy, SPOILER_MARKUP[target.type], t);
+  return {
+    ...e,
+    ...(e.unlocks ? { unlocks: e.unlocks.map(mask) } : {}),
+    ...(e.lastRemaining ? { lastRemaining: mask(e.lastRemaining) } : {}),
+    ...(e.remaining ? { remaining: e.remaining.map(mask) } : {}),
+  };
+}
+
+/* -------------------- dispatch -------------------- */
+
+const RENDERERS = {
+  discord: renderDiscord,
+  slack: renderSlack,
+  matrix: renderMatrix,
+  json: renderJson,
+};
+
+/** Render a neutral event for one target. Resolves to the list of HTTP requests to send, in order. */
+export function renderNotification(target, event) {
+  const t = createTranslator(event.locale);
+  return RENDERERS[target.type](target, applyHiddenPolicy(event, target, t), t);
+}
@@ -0,0 +1,362 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/*
+ * Steam Web API client.
+ *
+ * - Retries 429/5xx and network errors with jittered exponential backoff.
+ * - Enforces a per-run request budget so a bad run can't burn through the API key's quota.
+ * - Caches schema, rarity and vanity URL lookups in memory and in the state store (with
+ *   a TTL) so they survive cold starts.
+ * - Counts calls per endpoint and cache hits; call beginRun() at the start of each run
+ *   and stats() at the end.
+ * - Can record every response to a fixtures directory, or replay them from it without
+ *   touching the network (fixtures: { dir, mode: "record" | "replay" }).
+ */
+
+const API_BASE = "https://api.steampowered.com";
+
+export class SteamApiError extends Error {
+  constructor(message, { status = null, endpoint = null, body = null } = {}) {
+    super(message);
+    this.name = "SteamApiError";
+    this.status = status;
+    this.endpoint = endpoint;
+    this.body = body;
+  }
+}
+
+export class SteamBudgetExceededError extends Error {
+  constructor(budget) {
+    super(`Steam request budget of ${budget} call(s) per run exhausted`);
+    this.name = "SteamBudgetExceededError";
+    this.budget = budget;
+  }
+}
+
+/**
+ * What a failed player-stats call means for the user: "private_profile" when the profile or
+ * game details aren't public, "no_stats" when the game has no achievements, null otherwise.
+ */
+export function steamErrorKind(e) {
+  if (!(e instanceof SteamApiError) || !e.body) return null;
+  let message = e.body;
+  try {
+    message = JSON.parse(e.body)?.playerstats?.error ?? e.body;
+  } catch {
+    // not JSON; match the raw body
+  }
+  if (/not public/i.test(message)) return "private_profile";
+  if (/no stats/i.test(message)) return "no_stats";
+  return null;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Full jitter: anywhere between 0 and the exponential cap.
+function backoffMs(attempt) {
+  return Math.random() * Math.min(10000, 500 * 2 ** attempt);
+}
+
+// One file per endpoint + parameters (minus the API key), e.g.
+// GetPlayerAchievements/appid-10_l-english_steamid-7656.json
+function fixturePath(dir, endpoint, params) {
+  const name = Object.entries(params)
+    .filter(([k]) => k !== "key")
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([k, v]) => `${k}-${String(v).replace(/[^A-Za-z0-9.]/g, "_")}`)
+    .join("_");
+  return path.join(dir, endpoint, `${name || "default"}.json`);
+}
+
+// Keep only what announcements need so cached schema stays well under the item size limit.
+function compactSchemaAchievement(a) {
+  return {
+    name: a.name,
+    displayName: a.displayName,
+    description: a.description,
+    icon: a.icon,
+    icongray: a.icongray,
+    hidden: a.hidden,
+  };
+}
+
+export function createSteamClient({
+  apiKey,
+  store,
+  cacheTable,
+  maxCallsPerRun = 200,
+  maxRetries = 3,
+  schemaTtlSeconds = 86400,
+  rarityTtlSeconds = 21600,
+  vanityTtlSeconds = 604800,
+  maxCacheItemBytes = 350000,
+  fixtures = null,
+  log = (name, msg) => console.log(`[${name}] ${msg}`),
+}) {
+  if (fixtures && !["record", "replay"].includes(fixtures.mode)) {
+    throw new Error(`Steam fixtures mode must be "record" or "replay". Got: ${fixtures.mode}`);
+  }
+  const memory = new Map(); // cacheKey -> { value, expiresAt }
+  const inflight = new Map(); // cacheKey -> Promise
+  let run = null;
+
+  function beginRun() {
+    run = { requests: 0, retries: 0, calls: {}, cacheHits: {}, cacheMisses: {}, budgetExhausted: false };
+  }
+
+  function stats() {
+    return {
+      requests: run.requests,
+      retries: run.retries,
+      budget: maxCallsPerRun,
+      budgetExhausted: run.budgetExhausted,
+      calls: { ...run.calls },
+      cacheHits: { ...run.cacheHits },
+      cacheMisses: { ...run.cacheMisses },
+    };
+  }
+
+  const bump = (bucket, key) => {
+    bucket[key] = (bucket[key] ?? 0) + 1;
+  };
+
+  async function request(name, endpoint, urlPath, params) {
+    if (!run) beginRun();
+
+    if (fixtures?.mode === "replay") {
+      bump(run.calls, endpoint);
+      const file = fixturePath(fixtures.dir, endpoint, params);
+      try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+      } catch (e) {
+        throw new SteamApiError(`No usable Steam fixture at ${file}: ${e?.message ?? String(e)}`, { endpoint });
+      }
+    }
+
+    const url = new URL(`${API_BASE}/${urlPath}`);
+    for (const [k, v] of Object.entries(params)) url.searchParams.set(k, String(v));
+
+    for (let attempt = 0; ; attempt++) {
+      if (run.requests >= maxCallsPerRun) {
+        run.budgetExhausted = true;
+        throw new SteamBudgetExceededError(maxCallsPerRun);
+      }
+      run.requests++;
+      bump(run.calls, endpoint);
+
+      let res;
+      try {
+        res = await fetch(url);
+      } catch (e) {
+        if (attempt >= maxRetries) {
+          throw new SteamApiError(`Steam API network error (${endpoint}): ${e?.message ?? String(e)}`, { endpoint });
+        }
+        run.retries++;
+        const waitMs = backoffMs(attempt);
+        log(name, `Steam ${endpoint} network error (${e?.message ?? String(e)}); retrying in ${Math.round(waitMs)}ms`);
+        await sleep(waitMs);
+        continue;
+      }
+
+      if (res.ok) {
+        const json = await res.json();
+        if (fixtures?.mode === "record") {
+          const file = fixturePath(fixtures.dir, endpoint, params);
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.writeFileSync(file, JSON.stringify(json, null, 2));
+        }
+        return json;
+      }
+
+      const body = await res.text();
+      const transient = res.status === 429 || res.status >= 500;
+      if (!transient || attempt >= maxRetries) {
+        log(name, `Steam API call failed: ${endpoint} ${res.status} ${body}`);
+        throw new SteamApiError(`Steam API error ${res.status}: ${body}`, { status: res.status, endpoint, body });
+      }
+
+      run.retries++;
+      const waitMs = backoffMs(attempt);
+      log(name, `Steam ${endpoint} returned ${res.status}; retrying in ${Math.round(waitMs)}ms (attempt ${attempt + 1}/${maxRetries})`);
+      await sleep(waitMs);
+    }
+  }
+
+  /**
+   * Read-through cache: memory, then the state store, then Steam. `load` returns a
+   * JSON-serializable value; `hydrate` turns it into what callers get back.
+   */
+  async function cached(name, kind, id, ttlSeconds, load, hydrate) {
+    if (!run) beginRun();
+    const cacheKey = `cache#${kind}#${id}`;
+    const nowSec = Math.floor(Date.now() / 1000);
+
+    const hit = memory.get(cacheKey);
+    if (hit && hit.expiresAt > nowSec) {
+      bump(run.cacheHits, kind);
+      return hit.value;
+    }
+
+    if (inflight.has(cacheKey)) return inflight.get(cacheKey);
+
+    const promise = (async () => {
+      if (store && cacheTable) {
+        try {
+          const item = await store.get(cacheTable, { PK: cacheKey });
+          if (item && item.ttl > nowSec) {
+            bump(run.cacheHits, kind);
+            const value = hydrate(item.data);
+            memory.set(cacheKey, { value, expiresAt: item.ttl });
+            return value;
+          }
+        } catch (e) {
+          log(name, `Steam cache read failed (${cacheKey}): ${e?.message ?? String(e)}`);
+        }
+      }
+
+      bump(run.cacheMisses, kind);
+      const data = await load();
+      const expiresAt = nowSec + ttlSeconds;
+      const value = hydrate(data);
+      memory.set(cacheKey, { value, expiresAt });
+
+      if (store && cacheTable) {
+        const item = { PK: cacheKey, kind, data, fetchedAt: nowSec, ttl: expiresAt };
+        const bytes = Buffer.byteLength(JSON.stringify(item), "utf8");
+        if (bytes > maxCacheItemBytes) {
+          log(name, `Not persisting ${cacheKey}: approxBytes=${bytes} exceeds ${maxCacheItemBytes}`);
+        } else {
+          try {
+            await store.put(cacheTable, item);
+          } catch (e) {
+            log(name, `Steam cache write failed (${cacheKey}): ${e?.message ?? String(e)}`);
+          }
+        }
+      }
+
+      return value;
+    })();
+
+    inflight.set(cacheKey, promise);
+    try {
+      return await promise;
+    } finally {
+      inflight.delete(cacheKey);
+    }
+  }
+
+  return {
+    beginRun,
+    stats,
+
+    getPlayerSummaries(name, steamId) {
+      return request(name, "GetPlayerSummaries", "ISteamUser/GetPlayerSummaries/v0002/", {
+        key: apiKey,
+        steamids: steamId,
+      });
+    },
+
+    /** Resolves a custom profile name (steamcommunity.com/id/<vanity>) to a 64-bit SteamID. */
+    resolveVanityUrl(name, vanity) {
+      return cached(
+        name,
+        "vanity",
+        String(vanity).toLowerCase(),
+        vanityTtlSeconds,
+        async () => {
+          log(name, `Resolving Steam vanity URL "${vanity}"`);
+          const json = await request(name, "ResolveVanityURL", "ISteamUser/ResolveVanityURL/v0001/", {
+            key: apiKey,
+            vanityurl: vanity,
+          });
+          if (Number(json?.response?.success) !== 1 || !json.response.steamid) {
+            throw new SteamApiError(`No Steam profile found for "${vanity}" (${json?.response?.message ?? "no match"})`, {
+              endpoint: "ResolveVanityURL",
+            });
+          }
+          return json.response.steamid;
+        },
+        (data) => data
+      );
+    },
+
+    getOwnedGames(name, steamId) {
+      return request(name, "GetOwnedGames", "IPlayerService/GetOwnedGames/v0001/", {
+        key: apiKey,
+        steamid: steamId,
+        include_appinfo: 1,
+        include_played_free_games: 1,
+      });
+    },
+
+    // With `l` set Steam also returns each achievement's name and description, including
+    // hidden ones the schema leaves blank.
+    getPlayerAchievements(name, steamId, appid, language = "english") {
+      return request(name, "GetPlayerAchievements", "ISteamUserStats/GetPlayerAchievements/v0001/", {
+        appid,
+        key: apiKey,
+        steamid: steamId,
+        l: language,
+      });
+    },
+
+    /**
+     * Resolves { schemaGameName, schemaByApi: Map(apiname -> meta), totalCount }, with names
+     * and descriptions in `language` (a Steam language name such as "german").
+     */
+    getSchema(name, appid, language = "english") {
+      return cached(
+        name,
+        "schema",
+        `${appid}#${language}`,
+        schemaTtlSeconds,
+        async () => {
+          log(name, `Fetching game schema (appid=${appid}, l=${language})`);
+          const json = await request(name, "GetSchemaForGame", "ISteamUserStats/GetSchemaForGame/v0002/", {
+            key: apiKey,
+            appid,
+            l: language,
+          });
+          return {
+            gameName: json?.game?.gameName ?? null,
+            achievements: (json?.game?.availableGameStats?.achievements ?? []).map(compactSchemaAchievement),
+          };
+        },
+        (data) => ({
+          schemaGameName: data.gameName,
+          schemaByApi: new Map(data.achievements.map((a) => [a.name, a])),
+          totalCount: data.achievements.length,
+        })
+      );
+    },
+
+    /** Resolves Map(apiname -> percent), or null when Steam has no rarity data for the app. */
+    getRarity(name, appid) {
+      return cached(
+        name,
+        "rarity",
+        appid,
+        rarityTtlSeconds,
+        async () => {
+          log(name, `Fetching global achievement percentages (rarity) (appid=${appid})`);
+          const json = await request(
+            name,
+            "GetGlobalAchievementPercentagesForApp",
+            "ISteamUserStats/GetGlobalAchievementPercentagesForApp/v0002/",
+            { gameid: appid }
+          );
+          const arr = json?.achievementpercentages?.achievements ?? [];
+          if (!Array.isArray(arr) || arr.length === 0) {
+            log(name, `No rarity data returned for appid=${appid}`);
+            return null;
+          }
+          return arr.map((x) => [x.name, Number(x.percent)]);
+        },
+        (data) => (data ? new Map(data) : null)
+      );
+    },
+  };
+}
@@ -0,0 +1,311 @@
+import fs from "node:fs";
+import path from "node:path";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  DeleteCommand,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  ScanCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+/*
+ * Storage backends for bot state, the event log and the outbox.
+ *
+ * Every table is keyed by PK (and SK where the table has one). Both backends expose the
+ * same operations with the same semantics, including conditional puts and TTL expiry:
+ *
+ *   get(table, key)                     -> item | null
+ *   put(table, item, { ifNotExists, ifVersion })
+ *                                       -> true if written, false if the condition failed:
+ *                                          ifNotExists: the key must not exist yet
+ *                                          ifVersion: null = must not exist, 0 = must exist without
+ *                                          a version attribute, n = its version must be n
+ *   delete(table, key)
+ *   query(table, pk)                    -> every item in the partition, ordered by SK
+ *   scan(table, { prefix })             -> every item, optionally only PKs starting with prefix
+ */
+
+const BACKENDS = ["dynamodb", "file"];
+
+function isExpired(item, nowSec) {
+  return typeof item?.ttl === "number" && item.ttl <= nowSec;
+}
+
+function versionMatches(current, ifVersion) {
+  if (ifVersion === null) return !current;
+  return !!current && (Number(current.version) || 0) === ifVersion;
+}
+
+// DynamoDB keeps expired items until its TTL sweeper gets to them, which can take days, so
+// every condition treats them as absent, as the file backend does.
+function dynamoCondition({ ifNotExists, ifVersion }, nowSec) {
+  if (ifVersion === undefined && !ifNotExists) return {};
+  const names = { "#ttl": "ttl" };
+  const values = { ":now": nowSec };
+  let expression;
+  if (ifNotExists || ifVersion === null) {
+    expression = "attribute_not_exists(PK) OR #ttl <= :now";
+  } else if (ifVersion === 0) {
+    expression = "attribute_exists(PK) AND attribute_not_exists(#version) AND NOT (#ttl <= :now)";
+    names["#version"] = "version";
+  } else {
+    expression = "#version = :version AND NOT (#ttl <= :now)";
+    names["#version"] = "version";
+    values[":version"] = ifVersion;
+  }
+  return { ConditionExpression: expression, ExpressionAttributeNames: names, ExpressionAttributeValues: values };
+}
+
+/* -------------------- DynamoDB backend -------------------- */
+
+function createDynamoStore() {
+  const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+  async function collect(makeCommand) {
+    const items = [];
+    let ExclusiveStartKey;
+    do {
+      const out = await ddb.send(makeCommand(ExclusiveStartKey));
+      items.push(...(out.Items ?? []));
+      ExclusiveStartKey = out.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+    const nowSec = Math.floor(Date.now() / 1000);
+    return items.filter((item) => !isExpired(item, nowSec));
+  }
+
+  return {
+    backend: "dynamodb",
+
+    async get(table, key) {
+      const out = await ddb.send(new GetCommand({ TableName: table, Key: key }));
+      // TTL deletion can lag by days; hide expired items like the file backend does.
+      return out.Item && !isExpired(out.Item, Math.floor(Date.now() / 1000)) ? out.Item : null;
+    },
+
+    async put(table, item, { ifNotExists = false, ifVersion } = {}) {
+      const condition = dynamoCondition({ ifNotExists, ifVersion }, Math.floor(Date.now() / 1000));
+      try {
+        await ddb.send(new PutCommand({ TableName: table, Item: item, ...condition }));
+        return true;
+      } catch (e) {
+        const msg = e?.name || e?.message || String(e);
+        if (condition.ConditionExpression && String(msg).includes("ConditionalCheckFailed")) return false;
+        throw e;
+      }
+    },
+
+    async delete(table, key) {
+      await ddb.send(new DeleteCommand({ TableName: table, Key: key }));
+    },
+
+    async query(table, pk) {
+      return collect((ExclusiveStartKey) => new QueryCommand({
+        TableName: table,
+        KeyConditionExpression: "PK = :pk",
+        ExpressionAttributeValues: { ":pk": pk },
+        ExclusiveStartKey,
+      }));
+    },
+
+    async scan(table, { prefix } = {}) {
+      return collect((ExclusiveStartKey) => new ScanCommand({
+        TableName: table,
+        ...(prefix
+          ? { FilterExpression: "begins_with(PK, :prefix)", ExpressionAttributeValues: { ":prefix": prefix } }
+          : {}),
+        ExclusiveStartKey,
+      }));
+    },
+  };
+}
+
+/* -------------------- JSON file backend -------------------- */
+
+// How long a writer waits for another process's lock, and when a lock is considered left
+// behind by a process that died holding it.
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+
+// One JSON file per table. Writes go to a temp file and are renamed into place so a
+// crash mid-write never leaves a half-written table behind. Every write holds a lock file
+// and re-reads the table first, and reads pick up files another process replaced, so
+// overlapping processes (two runs, a run next to `serve`) see each other's rows and
+// conditional puts hold across them.
+function createFileStore(dir) {
+  const tables = new Map(); // table -> { stamp, rows: Map(keyString -> item) }
+
+  const keyOf = ({ PK, SK }) => (SK === undefined ? String(PK) : `${PK}\u0000${SK}`);
+  const fileOf = (table) => path.join(dir, `${table.replace(/[^A-Za-z0-9._-]/g, "_")}.json`);
+
+  // Each save renames a new file into place, so the inode alone tells versions apart.
+  function stampOf(file) {
+    try {
+      const st = fs.statSync(file);
+      return `${st.ino}:${st.mtimeMs}:${st.size}`;
+    } catch (e) {
+      if (e?.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  function lockAgeMs(lock) {
+    try {
+      return Date.now() - fs.statSync(lock).mtimeMs;
+    } catch (e) {
+      if (e?.code === "ENOENT") return 0;
+      throw e;
+    }
+  }
+
+  function load(table) {
+    const file = fileOf(table);
+    const stamp = stampOf(file);
+    const cached = tables.get(table);
+    if (cached && cached.stamp === stamp) return cached.rows;
+
+    let entries = {};
+    try {
+      entries = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      if (e?.code !== "ENOENT") throw new Error(`Failed to read state file ${file}: ${e.message}`);
+    }
+
+    const rows = new Map(Object.entries(entries));
+    tables.set(table, { stamp, rows });
+    return rows;
+  }
+
+  function save(table, rows) {
+    const file = fileOf(table);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(rows), null, 1));
+    fs.renameSync(tmp, file);
+    tables.set(table, { stamp: stampOf(file), rows });
+  }
+
+  function live(table) {
+    const nowSec = Math.floor(Date.now() / 1000);
+    return new Map(Array.from(load(table)).filter(([, item]) => !isExpired(item, nowSec)));
+  }
+
+  // Runs mutate(rows) against the table as it is on disk and saves it if mutate says so.
+  // mutate is synchronous, so the lock is never held across an await.
+  async function update(table, mutate) {
+    fs.mkdirSync(dir, { recursive: true });
+    const lock = `${fileOf(table)}.lock`;
+    for (const startedAt = Date.now(); ;) {
+      try {
+        fs.closeSync(fs.openSync(lock, "wx"));
+        break;
+      } catch (e) {
+        if (e?.code !== "EEXIST") throw e;
+      }
+      if (lockAgeMs(lock) > LOCK_STALE_MS) {
+        fs.rmSync(lock, { force: true });
+        continue;
+      }
+      if (Date.now() - startedAt > LOCK_TIMEOUT_MS) throw new Error(`Timed out waiting for the lock on ${fileOf(table)}`);
+      await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+
+    try {
+      const rows = live(table);
+      const result = mutate(rows);
+      if (result.changed) save(table, rows);
+      return result.value;
+    } finally {
+      fs.rmSync(lock, { force: true });
+    }
+  }
+
+  // Round-trip through JSON so callers never share references with the stored copy.
+  const clone = (item) => (item == null ? null : JSON.parse(JSON.stringify(item)));
+
+  return {
+    backend: "file",
+
+    async get(table, key) {
+      return clone(live(table).get(keyOf(key)));
+    },
+
+    async put(table, item, { ifNotExists = false, ifVersion } = {}) {
+      return update(table, (rows) => {
+        const k = keyOf(item);
+        if (ifNotExists && rows.has(k)) return { changed: false, value: false };
+        if (ifVersion !== undefined && !versionMatches(rows.get(k), ifVersion)) return { changed: false, value: false };
+        rows.set(k, clone(item));
+        return { changed: true, value: true };
+      });
+    },
+
+    async delete(table, key) {
+      await update(table, (rows) => ({ changed: rows.delete(keyOf(key)) }));
+    },
+
+    async query(table, pk) {
+      return Array.from(live(table).values())
+        .filter((item) => item.PK === pk)
+        .sort((a, b) => {
+          const x = String(a.SK ?? "");
+          const y = String(b.SK ?? "");
+          return x < y ? -1 : x > y ? 1 : 0;
+        })
+        .map(clone);
+    },
+
+    async scan(table, { prefix } = {}) {
+      return Array.from(live(table).values())
+        .filter((item) => !prefix || String(item.PK).startsWith(prefix))
+        .map(clone);
+    },
+  };
+}
+
+/* -------------------- wrappers -------------------- */
+
+// Reports every operation as onOp(op, table), e.g. for per-run metrics.
+export function instrumentStore(inner, onOp) {
+  const wrap = (op) => async (table, ...args) => {
+    onOp(op, table);
+    return inner[op](table, ...args);
+  };
+  return {
+    backend: inner.backend,
+    get: wrap("get"),
+    put: wrap("put"),
+    delete: wrap("delete"),
+    query: wrap("query"),
+    scan: wrap("scan"),
+  };
+}
+
+// Reads pass through to the real store; writes are logged and dropped.
+export function readOnlyStore(inner, log = (msg) => console.log(`[system] ${msg}`)) {
+  return {
+    backend: inner.backend,
+    get: inner.get,
+    query: inner.query,
+    scan: inner.scan,
+
+    async put(table, item) {
+      log(`[dry-run] Skipping write to ${table} (PK=${item.PK}${item.SK !== undefined ? ` SK=${item.SK}` : ""})`);
+      return true;
+    },
+
+    async delete(table, key) {
+      log(`[dry-run] Skipping delete from ${table} (PK=${key.PK})`);
+    },
+  };
+}
+
+/* -------------------- factory -------------------- */
+
+export function createStore({ backend = "dynamodb", dir = ".platinumbot-state" } = {}) {
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`STATE_BACKEND must be one of ${BACKENDS.join(", ")}. Got: ${backend}`);
+  }
+  return backend === "file" ? createFileStore(path.resolve(dir)) : createDynamoStore();
+}
@@ -0,0 +1,116 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomUUID } from "node:crypto";
+
+/*
+ * Logging and per-run metrics.
+ *
+ * log(name, msg, fields) prints either the classic "[name] msg" line or one JSON object per
+ * line carrying the run id, user, appid (from the surrounding withScope) and an event type.
+ * count() accumulates run counters; summary() returns them at the end of a run and, with
+ * emf enabled, also prints them in CloudWatch Embedded Metric Format.
+ */
+
+const LOG_FORMATS = ["json", "text"];
+
+function bump(target, path, n) {
+  let node = target;
+  for (const key of path.slice(0, -1)) node = node[key] ??= {};
+  const leaf = path[path.length - 1];
+  node[leaf] = (node[leaf] ?? 0) + n;
+}
+
+function sum(obj) {
+  return Object.values(obj ?? {}).reduce((total, v) => total + (typeof v === "number" ? v : 0), 0);
+}
+
+export function createTelemetry({ format = "json", emf = false, namespace = "PlatinumBot" } = {}) {
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`LOG_FORMAT must be one of ${LOG_FORMATS.join(", ")}. Got: ${format}`);
+  }
+
+  const scope = new AsyncLocalStorage();
+  let run = null;
+
+  function beginRun(runId = randomUUID()) {
+    run = { runId, startedAt: Date.now(), counters: {}, users: {} };
+    return runId;
+  }
+
+  function withScope(fields, fn) {
+    return scope.run({ ...scope.getStore(), ...fields }, fn);
+  }
+
+  function log(name, msg, fields = {}) {
+    if (format === "text") {
+      console.log(`[${name}] ${msg}`);
+      return;
+    }
+    const ctx = scope.getStore() ?? {};
+    console.log(JSON.stringify({
+      ts: new Date().toISOString(),
+      runId: run?.runId ?? null,
+      user: name === "system" ? null : name,
+      appid: ctx.appid ?? null,
+      event: "log",
+      ...fields,
+      msg,
+    }));
+  }
+
+  // path: ["posts", "sent"] or ["store", "put", "StateTable"]
+  function count(path, n = 1) {
+    if (!run) beginRun();
+    bump(run.counters, path, n);
+  }
+
+  function recordUser(name, fields) {
+    if (!run) beginRun();
+    run.users[name] = { ...run.users[name], ...fields };
+  }
+
+  function emitEmf(metrics) {
+    const values = {
+      RunDurationMs: metrics.durationMs,
+      Users: Object.keys(metrics.users).length,
+      UsersFailed: Object.values(metrics.users).filter((u) => u.ok === false).length,
+      SteamRequests: metrics.steam?.requests ?? 0,
+      SteamRetries: metrics.steam?.retries ?? 0,
+      CacheHits: sum(metrics.steam?.cacheHits),
+      CacheMisses: sum(metrics.steam?.cacheMisses),
+      StoreReads: sum(metrics.store?.get) + sum(metrics.store?.query) + sum(metrics.store?.scan),
+      StoreWrites: sum(metrics.store?.put) + sum(metrics.store?.delete),
+      PostsSent: metrics.posts?.sent ?? 0,
+      PostsQueued: metrics.posts?.queued ?? 0,
+      PostsFailed: metrics.posts?.failed ?? 0,
+      DeliveryRetries: metrics.delivery?.retries ?? 0,
+    };
+    console.log(JSON.stringify({
+      _aws: {
+        Timestamp: Date.now(),
+        CloudWatchMetrics: [{
+          Namespace: namespace,
+          Dimensions: [[]],
+          Metrics: Object.keys(values).map((Name) => ({ Name, Unit: Name.endsWith("Ms") ? "Milliseconds" : "Count" })),
+        }],
+      },
+      runId: metrics.runId,
+      ...values,
+    }));
+  }
+
+  /** End-of-run metrics; `extra` (e.g. the Steam client's stats) is merged in. */
+  function summary(extra = {}) {
+    if (!run) beginRun();
+    const metrics = {
+      runId: run.runId,
+      durationMs: Date.now() - run.startedAt,
+      ...run.counters,
+      ...extra,
+      users: run.users,
+    };
+    if (emf) emitEmf(metrics);
+    return metrics;
+  }
+
+  return { beginRun, withScope, log, count, recordUser, summary };
+}
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+/*
+ * The read-only API with API_TOKEN set: the token is required as a bearer header or
+ * ?token=, and responses stay out of shared caches.
+ */
+
+const FIXTURES = fileURLToPath(new URL("./fixtures/state", import.meta.url));
+const TOKEN = "s3cret-api-token";
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "platinumbot-api-"));
+fs.cpSync(FIXTURES, stateDir, { recursive: true });
+
+Object.assign(process.env, {
+  API_TOKEN: TOKEN,
+  STATE_BACKEND: "file",
+  STATE_DIR: stateDir,
+  STEAM_API_KEY: "test",
+  DISCORD_WEBHOOK_URL: "https://discord.invalid/webhook",
+  LOG_FORMAT: "text",
+  USERS: JSON.stringify([{ name: "Ricky", steamId: "76561197960287930" }]),
+});
+
+// index.mjs reads its configuration at load time.
+const { apiHandler } = await import("../index.mjs");
+
+test.after(() => fs.rmSync(stateDir, { recursive: true, force: true }));
+
+function get(rawPath, { headers = {}, query = {} } = {}) {
+  return apiHandler({ rawPath, requestContext: { http: { method: "GET" } }, headers, queryStringParameters: query });
+}
+
+test("rejects a request without a token", async () => {
+  const res = await get("/users");
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.headers["Cache-Control"], "private, no-store");
+});
+
+test("rejects a wrong token", async () => {
+  assert.equal((await get("/users", { headers: { Authorization: "Bearer not-the-token" } })).statusCode, 401);
+  assert.equal((await get("/users", { query: { token: "not-the-token" } })).statusCode, 401);
+  assert.equal((await get("/users", { query: { token: TOKEN.slice(0, -1) } })).statusCode, 401);
+  assert.equal((await get("/users", { headers: { Authorization: TOKEN } })).statusCode, 401);
+});
+
+test("accepts a bearer token", async () => {
+  const res = await get("/users/Ricky/games", { headers: { Authorization: `Bearer ${TOKEN}` } });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(JSON.parse(res.body).games.map((g) => g.gameTitle), ["Replay Quest", "Night Shift"]);
+  assert.equal(res.headers["Cache-Control"], "private, no-store");
+});
+
+test("accepts a query token", async () => {
+  const res = await get("/users", { query: { token: TOKEN } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(JSON.parse(res.body).users[0].name, "Ricky");
+  assert.equal(res.headers["Cache-Control"], "private, no-store");
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateKeyPairSync, sign } from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+/*
+ * Discord interactions: signature checks and slash command replies, answered from the file
+ * state backend seeded with fixtures/state.
+ */
+
+const FIXTURES = fileURLToPath(new URL("./fixtures/state", import.meta.url));
+
+const { publicKey, privateKey } = generateKeyPairSync("ed25519");
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "platinumbot-interactions-"));
+fs.cpSync(FIXTURES, stateDir, { recursive: true });
+
+Object.assign(process.env, {
+  // Discord hands out the raw 32-byte key; the DER SPKI encoding adds a 12-byte prefix.
+  DISCORD_PUBLIC_KEY: publicKey.export({ format: "der", type: "spki" }).subarray(12).toString("hex"),
+  STATE_BACKEND: "file",
+  STATE_DIR: stateDir,
+  STEAM_API_KEY: "test",
+  DISCORD_WEBHOOK_URL: "https://discord.invalid/webhook",
+  LOG_FORMAT: "text",
+  USERS: JSON.stringify([
+    { name: "Ricky", steamId: "76561197960287930" },
+    { name: "Sam", steamId: "76561197960287931" },
+  ]),
+});
+
+// index.mjs reads its configuration at load time.
+const { interactionsHandler } = await import("../index.mjs");
+
+test.after(() => fs.rmSync(stateDir, { recursive: true, force: true }));
+
+function signed(body, { key = privateKey, timestamp = String(Math.floor(Date.now() / 1000)) } = {}) {
+  const raw = JSON.stringify(body);
+  return {
+    headers: {
+      "X-Signature-Ed25519": sign(null, Buffer.from(timestamp + raw), key).toString("hex"),
+      "X-Signature-Timestamp": timestamp,
+    },
+    body: raw,
+  };
+}
+
+function command(name, options = {}) {
+  return signed({ type: 2, data: { name, options: Object.entries(options).map(([k, value]) => ({ name: k, value })) } });
+}
+
+test("answers a signed PING with PONG", async () => {
+  const res = await interactionsHandler(signed({ type: 1 }));
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(JSON.parse(res.body), { type: 1 });
+});
+
+test("rejects a bad signature", async () => {
+  const { privateKey: otherKey } = generateKeyPairSync("ed25519");
+  assert.equal((await interactionsHandler(signed({ type: 1 }, { key: otherKey }))).statusCode, 401);
+
+  const tampered = signed({ type: 1 });
+  tampered.body = JSON.stringify({ type: 2, data: { name: "progress", options: [] } });
+  assert.equal((await interactionsHandler(tampered)).statusCode, 401);
+
+  assert.equal((await interactionsHandler({ headers: {}, body: JSON.stringify({ type: 1 }) })).statusCode, 401);
+});
+
+test("/progress lists a user's games from the state index", async () => {
+  const res = await interactionsHandler(command("progress", { user: "ricky" }));
+  assert.equal(res.statusCode, 200);
+
+  const { type, data } = JSON.parse(res.body);
+  assert.equal(type, 4);
+  assert.equal(data.embeds.length, 1);
+  assert.equal(data.embeds[0].description, [
+    "• **Replay Quest** — 3/4 (75%)",
+    "🏆 **Night Shift** — 12/12 (100%)",
+  ].join("\n"));
+  assert.deepEqual(data.allowed_mentions, { parse: [] });
+});
+
+test("/progress leaves building a missing index to the scheduled run", async () => {
+  const file = path.join(stateDir, "state.json");
+  const before = fs.readFileSync(file, "utf8");
+
+  const { data } = JSON.parse((await interactionsHandler(command("progress", { user: "Sam" }))).body);
+  assert.equal(data.content, "No achievement progress recorded for Sam yet.");
+  assert.equal(fs.readFileSync(file, "utf8"), before);
+});
+
+test("/progress for someone untracked", async () => {
+  const { data } = JSON.parse((await interactionsHandler(command("progress", { user: "nobody" }))).body);
+  assert.equal(data.content, `I'm not tracking anyone called "nobody".`);
+});
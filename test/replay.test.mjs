@@ -0,0 +1,217 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+/*
+ * Replay regression tests.
+ *
+ * Each scenario runs `cli.mjs run` against the recorded Steam responses in fixtures/replay
+ * and a fresh file state directory, one process per run as the scheduled Lambda would be,
+ * with the webhook pointed at a local server. Runs differ only in the player's unlocks
+ * (rewritten before each run) and the pinned clock.
+ */
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const FIXTURES = path.join(ROOT, "test", "fixtures", "replay");
+const STEAM_ID = "76561197960287930";
+const APPID = 1000;
+
+const ACHIEVEMENTS = {
+  FIRST_STEPS: "First Steps",
+  CARTOGRAPHER: "Cartographer",
+  NIGHT_OWL: "Night Owl",
+  COMPLETIONIST: "Completionist",
+};
+
+const at = (iso) => Math.floor(Date.parse(iso) / 1000);
+
+// Unlocked a day before the recording; seen on the first run, never posted.
+const EARLIER = { FIRST_STEPS: at("2027-01-14T08:00:00Z") };
+
+/* -------------------- Harness -------------------- */
+
+// Collects every webhook body; Discord's ?wait=true expects the created message back.
+// While `down` is set every post fails with a 503 and isn't collected.
+async function startWebhook() {
+  const posts = [];
+  const webhook = { posts, down: false, delayMs: 0 };
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => setTimeout(() => {
+      if (webhook.down) {
+        res.writeHead(503);
+        res.end();
+        return;
+      }
+      posts.push(Buffer.concat(chunks).toString("utf8"));
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ id: String(posts.length) }));
+    }, webhook.delayMs));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return Object.assign(webhook, { url: `http://127.0.0.1:${server.address().port}/webhook`, close: () => server.close() });
+}
+
+function setup(t, user = {}, settings = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "platinumbot-replay-"));
+  const fixtures = path.join(dir, "fixtures");
+  const stateDir = path.join(dir, "state");
+  fs.cpSync(FIXTURES, fixtures, { recursive: true });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const schemaFile = path.join(fixtures, "GetSchemaForGame", `appid-${APPID}_l-english.json`);
+  const schema = fs.readFileSync(schemaFile, "utf8");
+
+  return {
+    // apiname -> unlocktime; everything else is locked.
+    unlock(unlocks) {
+      const achievements = Object.keys(ACHIEVEMENTS).map((apiname) => ({
+        apiname,
+        achieved: unlocks[apiname] ? 1 : 0,
+        unlocktime: unlocks[apiname] ?? 0,
+      }));
+      fs.writeFileSync(
+        path.join(fixtures, "GetPlayerAchievements", `appid-${APPID}_l-english_steamid-${STEAM_ID}.json`),
+        JSON.stringify({ playerstats: { steamID: STEAM_ID, gameName: "Replay Quest", success: true, achievements } })
+      );
+    },
+
+    steamDown(down) {
+      if (down) fs.rmSync(schemaFile);
+      else fs.writeFileSync(schemaFile, schema);
+    },
+
+    run(webhook, now) {
+      const env = {
+        ...process.env,
+        USERS: JSON.stringify([{ name: "Ricky", steamId: STEAM_ID, timezone: "UTC", ...user }]),
+        DISCORD_WEBHOOK_URL: webhook.url,
+        LOG_FORMAT: "text",
+        ...settings,
+      };
+      const args = ["cli.mjs", "run", "--fixtures", fixtures, "--state-dir", stateDir, "--now", now];
+      return new Promise((resolve) => {
+        execFile(process.execPath, args, { cwd: ROOT, env, timeout: 60_000 }, (error, stdout, stderr) => {
+          resolve({ code: error ? error.code ?? 1 : 0, output: stdout + stderr });
+        });
+      });
+    },
+  };
+}
+
+// How many times each achievement was announced: single unlocks carry an "Achievement"
+// field, lists and digests a bold name per line. Other fields (rarest unlock, the last
+// remaining achievement) only repeat or preview names.
+function postCounts(posts) {
+  const counts = Object.fromEntries(Object.values(ACHIEVEMENTS).map((title) => [title, 0]));
+  for (const embed of posts.flatMap((p) => JSON.parse(p).embeds ?? [])) {
+    const names = [
+      ...(embed.fields ?? []).filter((f) => f.name === "Achievement").map((f) => f.value),
+      ...Array.from(embed.description?.matchAll(/\*\*(.+?)\*\*/g) ?? [], (m) => m[1]),
+    ];
+    for (const name of names) if (name in counts) counts[name]++;
+  }
+  return counts;
+}
+
+async function withWebhook(t) {
+  const webhook = await startWebhook();
+  t.after(() => webhook.close());
+  return webhook;
+}
+
+/* -------------------- Scenarios -------------------- */
+
+test("catch-up posts unlocks older than the window once", async (t) => {
+  const webhook = await withWebhook(t);
+  const s = setup(t);
+
+  s.unlock(EARLIER);
+  assert.equal((await s.run(webhook, "2027-01-15T08:00:00Z")).code, 0);
+  assert.equal(webhook.posts.length, 0, "the first run only bootstraps");
+
+  // Both unlocks are well outside the 15 minute window by the next run.
+  s.unlock({ ...EARLIER, CARTOGRAPHER: at("2027-01-15T09:00:00Z"), NIGHT_OWL: at("2027-01-15T10:00:00Z") });
+  assert.equal((await s.run(webhook, "2027-01-15T11:00:00Z")).code, 0);
+  assert.equal((await s.run(webhook, "2027-01-15T11:05:00Z")).code, 0);
+
+  assert.deepEqual(postCounts(webhook.posts), { "First Steps": 0, Cartographer: 1, "Night Owl": 1, Completionist: 0 });
+});
+
+test("overlapping runs post an unlock once", async (t) => {
+  const webhook = await withWebhook(t);
+  const s = setup(t);
+
+  s.unlock(EARLIER);
+  await s.run(webhook, "2027-01-15T08:00:00Z");
+
+  s.unlock({ ...EARLIER, CARTOGRAPHER: at("2027-01-15T08:10:00Z") });
+  const runs = await Promise.all([s.run(webhook, "2027-01-15T08:12:00Z"), s.run(webhook, "2027-01-15T08:12:00Z")]);
+  for (const r of runs) assert.equal(r.code, 0, r.output);
+
+  assert.equal(postCounts(webhook.posts).Cartographer, 1);
+});
+
+test("a run that fails after claiming leaves the unlock for the next run", async (t) => {
+  const webhook = await withWebhook(t);
+  const s = setup(t);
+
+  s.unlock(EARLIER);
+  await s.run(webhook, "2027-01-15T08:00:00Z");
+
+  s.unlock({ ...EARLIER, CARTOGRAPHER: at("2027-01-15T08:10:00Z") });
+  s.steamDown(true);
+  assert.notEqual((await s.run(webhook, "2027-01-15T08:12:00Z")).code, 0);
+  assert.equal(webhook.posts.length, 0);
+
+  s.steamDown(false);
+  assert.equal((await s.run(webhook, "2027-01-15T09:00:00Z")).code, 0);
+  assert.equal((await s.run(webhook, "2027-01-15T09:05:00Z")).code, 0);
+
+  assert.equal(postCounts(webhook.posts).Cartographer, 1);
+});
+
+test("overlapping runs deliver a queued post once", async (t) => {
+  const webhook = await withWebhook(t);
+  const s = setup(t, {}, { OUTBOX_TABLE: "outbox", NOTIFY_MAX_RETRIES: "0" });
+
+  s.unlock(EARLIER);
+  await s.run(webhook, "2027-01-15T08:00:00Z");
+
+  s.unlock({ ...EARLIER, CARTOGRAPHER: at("2027-01-15T08:10:00Z") });
+  webhook.down = true;
+  assert.equal((await s.run(webhook, "2027-01-15T08:12:00Z")).code, 0);
+  assert.equal(webhook.posts.length, 0);
+
+  // Slow enough that both runs have read the outbox before either delivers.
+  webhook.down = false;
+  webhook.delayMs = 500;
+  const runs = await Promise.all([s.run(webhook, "2027-01-15T08:20:00Z"), s.run(webhook, "2027-01-15T08:20:00Z")]);
+  for (const r of runs) assert.equal(r.code, 0, r.output);
+
+  assert.equal(postCounts(webhook.posts).Cartographer, 1);
+});
+
+test("unlocks during quiet hours go out once as the morning digest", async (t) => {
+  const webhook = await withWebhook(t);
+  const s = setup(t, { quietHours: "22:00-07:00" });
+
+  s.unlock(EARLIER);
+  await s.run(webhook, "2027-01-15T08:00:00Z");
+
+  s.unlock({ ...EARLIER, NIGHT_OWL: at("2027-01-15T23:00:00Z"), COMPLETIONIST: at("2027-01-16T01:00:00Z") });
+  assert.equal((await s.run(webhook, "2027-01-15T23:05:00Z")).code, 0);
+  assert.equal((await s.run(webhook, "2027-01-16T01:05:00Z")).code, 0);
+  assert.equal(webhook.posts.length, 0, "nothing posts during quiet hours");
+
+  assert.equal((await s.run(webhook, "2027-01-16T07:05:00Z")).code, 0);
+  assert.equal((await s.run(webhook, "2027-01-16T07:10:00Z")).code, 0);
+
+  assert.deepEqual(postCounts(webhook.posts), { "First Steps": 0, Cartographer: 0, "Night Owl": 1, Completionist: 1 });
+});